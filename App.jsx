@@ -11,24 +11,121 @@ import {
   AlertCircle,
   Trash2,
   User,
-  ShoppingBag
+  ShoppingBag,
+  Receipt,
+  Users,
+  LogOut,
+  Lock,
+  History,
+  ArchiveRestore,
+  Undo2,
+  Layers,
+  X,
+  KanbanSquare,
+  CalendarClock,
+  School,
+  ChevronLeft,
+  Phone,
+  Mail,
+  MapPin,
+  FileText,
+  Truck,
+  Settings,
+  FolderInput,
+  Download,
+  Upload,
+  Wifi,
+  WifiOff,
+  RefreshCw,
+  BarChart3,
+  Pencil,
+  Search,
+  ArrowUp,
+  ArrowDown,
+  Building2,
+  MessageCircle,
+  Send,
+  ShoppingCart,
+  PackageCheck,
+  GraduationCap,
+  ListChecks,
+  CalendarDays,
+  ChevronRight,
+  MoreHorizontal
 } from 'lucide-react';
 import { initializeApp, getApps } from 'firebase/app';
 import { 
   getFirestore, 
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
   collection, 
-  addDoc, 
   onSnapshot, 
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
   doc, 
+  setDoc,
   updateDoc, 
-  deleteDoc 
+  deleteDoc,
+  writeBatch,
+  increment,
+  arrayUnion,
+  runTransaction,
+  getAggregateFromServer,
+  sum as aggregateSum,
+  connectFirestoreEmulator
 } from 'firebase/firestore';
 import { 
   getAuth, 
-  signInAnonymously, 
   signInWithCustomToken, 
-  onAuthStateChanged 
+  signInWithEmailAndPassword,
+  signOut,
+  onAuthStateChanged,
+  connectAuthEmulator
 } from 'firebase/auth';
+import { jsPDF } from 'jspdf';
+import * as XLSX from 'xlsx';
+import { fieldOps } from './lib/fieldOps.js';
+import { createLocalStore, createLocalRepository, sortRecords } from './lib/localRepository.js';
+import {
+  DEFAULT_MONEY, moneySettings, toCents, fromCents, formatMoney, orderCurrency, rateFor, toStudioCents,
+  MONEY_FIELDS, withCents, activeAmountTotal, centsPatch
+} from './lib/money.js';
+import { groupPaymentsByOrder, sumPayments, paymentsInStudio, orderBalance, computeStats } from './lib/payments.js';
+import {
+  ORDER_STATES, isConsumingState, validateTransition, lineItemsTotal, orderMaterials, planConsumption
+} from './lib/production.js';
+import {
+  DAY_MS, daysBetween, EVENT_TYPES, AGENDA_TYPES, eventDone, orderEvents, isoDay, calendarDays, shiftCalendar, buildIcs
+} from './lib/calendar.js';
+import {
+  MONTH_NAMES, periodRange, inRange, incomeExpenseSeries, receivablesAging, orderMargins
+} from './lib/reports.js';
+import { sameValue, describeValue, pendingConflicts } from './lib/activity.js';
+import { normalizeName } from './lib/text.js';
+import { mapImportRows } from './lib/imports.js';
+import {
+  studentAmount, sortRoster, paidByStudent, rosterTotals, rosterOrderTotal, splitPastedRows, parseClassList, markDuplicateStudents
+} from './lib/roster.js';
+import { workspaceLabel, workspaceTotals, overallTotals, validateSeasonClose, carryOverRecords } from './lib/workspaces.js';
+
+/**
+ * Lee una variable de entorno de Vite. Fuera de Vite (previsualización del
+ * chat) import.meta no existe y se devuelve undefined.
+ */
+const readEnv = (key) => {
+  try {
+    // @ts-ignore
+    const env = (typeof import.meta !== 'undefined' && import.meta.env) || {};
+    return env[key];
+  } catch (e) {
+    return undefined;
+  }
+};
 
 /**
  * CONFIGURACIÓN DE FIREBASE
@@ -40,10 +137,7 @@ const loadConfig = () => {
   let source = "none";
 
   try {
-    // Intentar acceder a las variables de entorno de Vite de forma segura
-    // @ts-ignore
-    const env = (typeof import.meta !== 'undefined' && import.meta.env) || {};
-    const viteConfig = env.VITE_FIREBASE_CONFIG;
+    const viteConfig = readEnv('VITE_FIREBASE_CONFIG');
     
     if (viteConfig && viteConfig !== "") {
       config = JSON.parse(viteConfig);
@@ -72,32 +166,815 @@ const { config: firebaseConfig, source: configSource } = loadConfig();
 
 // Obtener el ID de la app de forma segura
 const getAppId = () => {
-  try {
-    // @ts-ignore
-    const env = (typeof import.meta !== 'undefined' && import.meta.env) || {};
-    const viteId = env.VITE_APP_ID;
-    if (viteId) return viteId;
-  } catch (e) {}
-  
+  const viteId = readEnv('VITE_APP_ID');
+  if (viteId) return viteId;
   if (typeof __app_id !== 'undefined') return __app_id;
   return 'anuarios-manager-v1';
 };
 
 const appId = getAppId();
 
+// Usar los emuladores locales de Firebase (ver firebase.json) cuando VITE_USE_EMULATORS=true
+const useEmulators = () => readEnv('VITE_USE_EMULATORS') === 'true';
+
 // Inicializar Firebase solo si existe configuración
 let app, auth, db;
 if (firebaseConfig) {
   try {
     app = getApps().length === 0 ? initializeApp(firebaseConfig) : getApps()[0];
     auth = getAuth(app);
-    db = getFirestore(app);
+    // Caché persistente: la app abre y registra cambios sin conexión
+    try {
+      db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+    } catch (e) {
+      db = getFirestore(app);
+    }
+    if (useEmulators()) {
+      connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+      connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    }
   } catch (e) {
     console.error("Error inicializando Firebase:", e);
   }
 }
 
+// Service worker para instalar la app (PWA) y abrirla sin conexión
+const isProductionBuild = () => Boolean(readEnv('PROD'));
+
+if (typeof window !== 'undefined' && 'serviceWorker' in navigator && isProductionBuild()) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(e => console.warn("No se pudo registrar el service worker:", e));
+  });
+}
+
+// --- Roles del personal ---
+// Las mismas reglas se aplican en el servidor desde firestore.rules
+const ROLES = {
+  admin: { label: 'Administración', can: ['create', 'edit', 'updateStatus', 'updateStock', 'deliverCopies', 'delete', 'viewFinance', 'manageStaff', 'manageWorkspaces'] },
+  sales: { label: 'Ventas', can: ['create', 'edit', 'updateStatus', 'updateStock', 'deliverCopies'] },
+  production: { label: 'Producción', can: ['updateStatus', 'deliverCopies'] }
+};
+
+// En una temporada cerrada solo quedan las acciones que no modifican sus datos
+const READ_ONLY_ACTIONS = ['viewFinance', 'manageStaff', 'manageWorkspaces'];
+
+const can = (profile, action) => Boolean(
+  profile?.rol && ROLES[profile.rol]?.can.includes(action) && (!profile.readOnly || READ_ONLY_ACTIONS.includes(action))
+);
+
+// Altas, cambios y bajas del directorio `team` para que refleje los roles del equipo
+const teamChanges = (staff, team) => {
+  const current = Object.fromEntries(team.map(t => [t.id, t]));
+  const granted = staff.filter(s => s.rol);
+  return [
+    ...granted
+      .filter(s => current[s.id]?.email !== (s.email || '') || current[s.id]?.rol !== s.rol)
+      .map(s => ['set', s.id, { email: s.email || '', rol: s.rol }]),
+    ...team.filter(t => !granted.some(s => s.id === t.id)).map(t => ['remove', t.id])
+  ];
+};
+
+// --- Espacios de trabajo (sede y temporada) ---
+const DEFAULT_WORKSPACE = 'principal';
+
+// El espacio principal conserva la ruta original de los datos
+const workspaceRoot = (workspaceId) => (workspaceId === DEFAULT_WORKSPACE
+  ? ['artifacts', appId, 'public', 'data']
+  : ['artifacts', appId, 'workspaces', workspaceId]);
+
+// Lista de espacios con el principal siempre presente aunque no tenga documento propio
+const withDefaultWorkspace = (workspaces) => (workspaces.some(w => w.id === DEFAULT_WORKSPACE)
+  ? workspaces
+  : [{ id: DEFAULT_WORKSPACE, sede: 'Principal', temporada: '', estado: 'abierta' }, ...workspaces]);
+
+// Etiquetas, cierre de temporada y totales entre espacios: lib/workspaces.js
+
+// --- Acceso a datos (Firestore o almacenamiento local) ---
+/**
+ * La aplicación lee y escribe a través de un repositorio por espacio de
+ * trabajo con la misma interfaz para Firestore y para el modo local:
+ *   newId(type), set(type, id, data, { merge }), update(type, id, changes),
+ *   remove(type, id), batch(), transaction(fn), list(type),
+ *   subscribe(type, onData, onError), subscribeDoc(type, id, onData, onError),
+ *   subscribeQuery(type, spec, cursor, onData, onError),
+ *   sum(type, field, conditions) (suma calculada en el servidor)
+ * Los cambios relativos se expresan con fieldOps y cada implementación los
+ * traduce (increment/arrayUnion en Firestore). El modo local está en
+ * lib/localRepository.js.
+ */
+
+// Modo local: sin Firebase los datos quedan guardados en este navegador
+const localModeRequested = () => {
+  try {
+    return readEnv('VITE_DEMO_MODE') === 'true' || localStorage.getItem(`${appId}:demo`) === '1';
+  } catch (e) {
+    return false;
+  }
+};
+
+const isLocalMode = !db && localModeRequested();
+const hasDataBackend = Boolean(db) || isLocalMode;
+
+// Usuario del modo local, con rol de administración
+const LOCAL_USER = { uid: 'local', email: 'demo@local' };
+
+const toFirestore = (data) => Object.fromEntries(Object.entries(data).map(([k, v]) => [k,
+  v?.__op === 'increment' ? increment(v.n) : v?.__op === 'arrayUnion' ? arrayUnion(...v.items) : v]));
+
+const fromSnapshot = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+const createFirestoreRepository = (firestore, root) => {
+  const col = (type) => collection(firestore, ...root, type);
+  const ref = (type, id) => doc(firestore, ...root, type, id);
+  // Escrituras aún no confirmadas por el servidor y si la lectura viene del servidor
+  const syncState = (snapshot) => ({
+    pending: snapshot.docs.filter(d => d.metadata.hasPendingWrites).length,
+    synced: !snapshot.metadata.fromCache && !snapshot.metadata.hasPendingWrites
+  });
+  return {
+    newId: (type) => doc(col(type)).id,
+    set: (type, id, data, options = {}) => setDoc(ref(type, id), toFirestore(data), options),
+    update: (type, id, changes) => updateDoc(ref(type, id), toFirestore(changes)),
+    remove: (type, id) => deleteDoc(ref(type, id)),
+    batch: () => {
+      const batch = writeBatch(firestore);
+      return {
+        set: (type, id, data, options = {}) => batch.set(ref(type, id), toFirestore(data), options),
+        update: (type, id, changes) => batch.update(ref(type, id), toFirestore(changes)),
+        remove: (type, id) => batch.delete(ref(type, id)),
+        commit: () => batch.commit()
+      };
+    },
+    transaction: (fn) => runTransaction(firestore, (tx) => fn({
+      get: async (type, id) => {
+        const snap = await tx.get(ref(type, id));
+        return snap.exists() ? snap.data() : null;
+      },
+      set: (type, id, data) => tx.set(ref(type, id), toFirestore(data)),
+      update: (type, id, changes) => tx.update(ref(type, id), toFirestore(changes))
+    })),
+    list: async (type) => fromSnapshot(await getDocs(col(type))),
+    subscribe: (type, onData, onError) => onSnapshot(col(type), { includeMetadataChanges: true },
+      snapshot => onData(fromSnapshot(snapshot), syncState(snapshot)), onError),
+    subscribeDoc: (type, id, onData, onError) => onSnapshot(ref(type, id),
+      snap => onData(snap.exists() ? snap.data() : null, { synced: !snap.metadata.fromCache }), onError),
+    subscribeQuery: (type, spec, cursor, onData, onError) => onSnapshot(query(col(type),
+      ...spec.where.map(([field, op, value]) => where(field, op, value)),
+      orderBy(...spec.orderBy),
+      ...(cursor ? [startAfter(cursor)] : []),
+      limit(spec.limit)
+    ), snapshot => onData(fromSnapshot(snapshot), snapshot.docs[snapshot.docs.length - 1] || null), onError),
+    sum: async (type, field, conditions = []) => {
+      const snap = await getAggregateFromServer(
+        query(col(type), ...conditions.map(([f, op, value]) => where(f, op, value))),
+        { total: aggregateSum(field) }
+      );
+      return snap.data().total || 0;
+    }
+  };
+};
+
+
+const repositories = new Map();
+let localStore = null;
+
+// Repositorio de un espacio de trabajo; el del principal guarda también equipo y espacios
+const getRepository = (workspaceId) => {
+  if (!repositories.has(workspaceId)) {
+    const root = workspaceRoot(workspaceId);
+    if (db) repositories.set(workspaceId, createFirestoreRepository(db, root));
+    else {
+      localStore = localStore || createLocalStore(`${appId}-local`);
+      repositories.set(workspaceId, createLocalRepository(localStore, root));
+    }
+  }
+  return repositories.get(workspaceId);
+};
+
+// --- Pedidos y producción ---
+// Etapas, reglas de avance y consumo de materiales: lib/production.js
+// Fecha en que el pedido entró a su estado actual (pedidos antiguos: fecha de creación)
+const stageEnteredAt = (order) => order.estadoDesde || order.createdAt;
+
+/**
+ * Tiempo acumulado en cada etapa a partir de las transiciones guardadas en el
+ * pedido: { [estado]: días }.
+ */
+const stageDurations = (order) => {
+  const transitions = order.transiciones?.length
+    ? order.transiciones
+    : [{ estado: order.estado, at: order.createdAt }];
+  const totals = {};
+  transitions.forEach((t, idx) => {
+    const end = transitions[idx + 1]?.at || new Date().toISOString();
+    totals[t.estado] = (totals[t.estado] || 0) + (new Date(end) - new Date(t.at)) / DAY_MS;
+  });
+  return totals;
+};
+
+
+// --- Agenda (sesiones, pruebas, imprenta y entregas) ---
+// Tipos de hito, calendario y exportación .ics: lib/calendar.js
+const WEEKDAY_NAMES = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+
+const isOverdue = (event, day = today()) => !event.done && event.fecha < day;
+
+// --- Sincronización ---
+// Detección de ediciones en conflicto: lib/activity.js
+
+// --- Clientes ---
+// Los pedidos antiguos solo tienen el texto `cliente`; se asocian por nombre
+const ordersForCustomer = (customer, orders) => orders.filter(o =>
+  o.customerId ? o.customerId === customer.id : normalizeName(o.cliente) === normalizeName(customer.nombre)
+);
+
+/**
+ * Volumen por año de un conjunto de pedidos: ejemplares (suma de las líneas
+ * de pedido) e importe vendido en la moneda del estudio, ordenado del año
+ * más reciente al más antiguo.
+ */
+const yearlyVolume = (orders, money) => {
+  const years = {};
+  orders.forEach(o => {
+    const year = (o.createdAt || '').slice(0, 4) || 'Sin fecha';
+    const entry = years[year] || (years[year] = { year, pedidos: 0, ejemplares: 0, ventas: 0 });
+    entry.pedidos += 1;
+    entry.ejemplares += (o.items || []).reduce((sum, l) => sum + (Number(l.cantidad) || 0), 0);
+    entry.ventas += toStudioCents(o.total, o.moneda, money);
+  });
+  return Object.values(years).sort((a, b) => b.year.localeCompare(a.year));
+};
+
+// --- Importes y monedas ---
+// Monedas y formatos que se ofrecen en los ajustes; los cálculos en centavos están en lib/money.js
+const CURRENCIES = {
+  USD: 'Dólar estadounidense',
+  PEN: 'Sol peruano',
+  MXN: 'Peso mexicano',
+  COP: 'Peso colombiano',
+  CLP: 'Peso chileno',
+  ARS: 'Peso argentino',
+  BOB: 'Boliviano',
+  EUR: 'Euro'
+};
+
+const LOCALES = {
+  'es-419': 'Latinoamérica',
+  'es-AR': 'Argentina',
+  'es-BO': 'Bolivia',
+  'es-CL': 'Chile',
+  'es-CO': 'Colombia',
+  'es-MX': 'México',
+  'es-PE': 'Perú',
+  'es-ES': 'España'
+};
+
+
+// --- Pagos ---
+const PAYMENT_METHODS = ['Efectivo', 'Transferencia', 'Tarjeta'];
+
+// Fecha local del equipo: con toISOString sería la del día UTC, que por la noche ya es el siguiente
+const today = () => isoDay(new Date());
+
+// --- Reportes financieros ---
+const EXPENSE_CATEGORIES = ['Materiales', 'Impresión', 'Personal', 'Transporte', 'Alquiler y servicios', 'Marketing', 'Otros'];
+
+// Períodos, series, antigüedad de saldos y márgenes: lib/reports.js
+
+// --- Avisos a clientes (correo / WhatsApp) ---
+const smtpRelayUrl = () => readEnv('VITE_SMTP_RELAY_URL') || '';
+
+// Plantilla de recordatorio de saldo; el resto de plantillas se dispara al entrar en cada estado
+const REMINDER_EVENT = 'recordatorio';
+
+const TEMPLATE_VARS = ['cliente', 'contacto', 'pedido', 'estado', 'total', 'saldo', 'estudio'];
+
+const DEFAULT_NOTIFICATIONS = {
+  proveedor: useEmulators() ? 'mock' : 'whatsapp',
+  relayUrl: smtpRelayUrl(),
+  diasRecordatorio: 7,
+  plantillas: {
+    ...Object.fromEntries(ORDER_STATES.map(estado => [estado, {
+      activo: false,
+      asunto: `Pedido ${estado.toLowerCase()}`,
+      cuerpo: 'Hola {contacto}, el pedido "{pedido}" de {cliente} pasó a {estado}.'
+    }])),
+    Listo: {
+      activo: true,
+      asunto: 'Tu pedido está listo para retirar',
+      cuerpo: 'Hola {contacto}, el pedido "{pedido}" de {cliente} está listo para retirar en {estudio}. Saldo pendiente: {saldo}.'
+    },
+    [REMINDER_EVENT]: {
+      activo: true,
+      asunto: 'Recordatorio de pago',
+      cuerpo: 'Hola {contacto}, te recordamos que el pedido "{pedido}" de {cliente} tiene un saldo pendiente de {saldo}. ¡Gracias!'
+    }
+  }
+};
+
+// {total} y {saldo} ya incluyen el símbolo de la moneda: se quita el '$' que anteponían las plantillas guardadas antes
+const withoutDollarSign = (text) => (text || '').replace(/\$\{(total|saldo)\}/g, '{$1}');
+
+const mergeNotificationSettings = (data = {}) => ({
+  ...DEFAULT_NOTIFICATIONS, ...data,
+  plantillas: Object.fromEntries(Object.entries(DEFAULT_NOTIFICATIONS.plantillas).map(([k, v]) => {
+    const saved = data.plantillas?.[k] || {};
+    return [k, { ...v, ...saved, ...(saved.cuerpo !== undefined && { cuerpo: withoutDollarSign(saved.cuerpo) }) }];
+  }))
+});
+
+const renderTemplate = (text, vars) => (text || '').replace(/\{(\w+)\}/g, (match, key) => (vars[key] ?? match));
+
+const notificationVars = (order, customer, saldo, studio) => {
+  const money = moneySettings(studio);
+  return {
+    cliente: order.cliente || '',
+    contacto: customer?.contacto || order.cliente || '',
+    pedido: order.descripcion || order.items?.map(l => l.nombre).join(', ') || order.cliente || '',
+    estado: order.estado,
+    total: formatMoney(order.total, orderCurrency(order, money), money.locale),
+    saldo: formatMoney(saldo, orderCurrency(order, money), money.locale),
+    estudio: studio.nombre || 'el estudio'
+  };
+};
+
+/**
+ * Proveedores de envío. Cada uno recibe el mensaje ya armado
+ * ({ to, asunto, cuerpo }) y la configuración, y resuelve con el estado que
+ * queda en el registro de avisos. `contacto` indica qué dato del cliente usa.
+ * Los manuales no envían nada: dan el enlace que la persona abre con su
+ * propio clic (ver outbox en App) y el aviso queda pendiente de confirmar.
+ * Un canal nuevo solo necesita una entrada con la misma forma.
+ */
+const NOTIFICATION_PROVIDERS = {
+  whatsapp: {
+    label: 'WhatsApp (enlace)',
+    contacto: 'telefono',
+    manual: true,
+    link: ({ to, cuerpo }) => `https://wa.me/${to.replace(/\D/g, '')}?text=${encodeURIComponent(cuerpo)}`
+  },
+  email: {
+    label: 'Correo (SMTP)',
+    contacto: 'email',
+    /**
+     * El navegador no puede hablar SMTP: el correo se entrega a un relé HTTP
+     * propio (VITE_SMTP_RELAY_URL o la URL de Ajustes) que lo envía. Contrato:
+     * POST con JSON { to, subject, text }, que el relé acepta desde el origen
+     * de la app (CORS); cualquier respuesta 2xx cuenta como enviado y el resto
+     * como error. La app no manda credenciales: el relé debe limitar a quién
+     * acepta mensajes (origen, cuota) y guardar él las del servidor SMTP.
+     */
+    send: async ({ to, asunto, cuerpo }, config) => {
+      if (!config.relayUrl) throw new Error('Falta la URL del servidor de correo');
+      const res = await fetch(config.relayUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to, subject: asunto, text: cuerpo })
+      });
+      if (!res.ok) throw new Error(`El servidor de correo respondió ${res.status}`);
+      return { estado: 'enviado', detalle: '' };
+    }
+  },
+  mock: {
+    label: 'Simulado (pruebas)',
+    contacto: null,
+    // No envía nada: el registro del aviso queda con estado `simulado`
+    send: async () => ({ estado: 'simulado', detalle: 'No se envió: proveedor de pruebas' })
+  }
+};
+
+// `abierto` es como se registraban antes los chats de WhatsApp abiertos sin confirmar
+const NOTIFICATION_STATUS = {
+  enviado: { label: 'enviado', style: 'text-emerald-600' },
+  pendiente: { label: 'pendiente de confirmar', style: 'text-amber-600' },
+  abierto: { label: 'pendiente de confirmar', style: 'text-amber-600' },
+  simulado: { label: 'simulado', style: 'text-slate-500' },
+  error: { label: 'error', style: 'text-red-600' }
+};
+
+const UNCONFIRMED_STATES = ['pendiente', 'abierto'];
+
+// Último recordatorio de saldo de cada pedido; los fallidos y los que nadie confirmó no cuentan
+const lastReminders = (notifications) => notifications.reduce((acc, n) => {
+  if (n.evento === REMINDER_EVENT && n.estado !== 'error' && !UNCONFIRMED_STATES.includes(n.estado) && (!acc[n.orderId] || n.at > acc[n.orderId])) acc[n.orderId] = n.at;
+  return acc;
+}, {});
+
+// --- Compras y proveedores ---
+const PURCHASE_STATES = ['Pendiente', 'Recibida'];
+
+// Motivos que se pueden elegir al ajustar el stock a mano; compras y pedidos registran los suyos
+const STOCK_REASONS = ['Ajuste manual', 'Conteo físico', 'Merma', 'Devolución a proveedor'];
+
+// Cantidad sugerida para reponer: hasta el doble del mínimo
+const suggestedQuantity = (item) => Math.max(1, (Number(item.minimo) || 0) * 2 - (Number(item.stock) || 0));
+
+const purchaseTotal = (lineas = []) => lineas.reduce((sum, l) => sum + (Number(l.cantidad) || 0) * (Number(l.costo) || 0), 0);
+
+/**
+ * Agrupa por proveedor los artículos con stock bajo para armar una orden de
+ * compra por cada uno. Se omiten los que ya están en una orden pendiente.
+ */
+const draftPurchaseOrders = (inventory, purchaseOrders, suppliers) => {
+  const pending = new Set(purchaseOrders.filter(po => po.estado === 'Pendiente').flatMap(po => (po.lineas || []).map(l => l.inventoryId)));
+  const groups = {};
+  inventory.filter(i => i.stock <= i.minimo && !pending.has(i.id)).forEach(i => {
+    const key = i.proveedorId || '';
+    (groups[key] = groups[key] || []).push({ inventoryId: i.id, item: i.item, cantidad: suggestedQuantity(i), costo: Number(i.costo) || 0 });
+  });
+  return Object.entries(groups).map(([proveedorId, lineas]) => ({
+    proveedorId: proveedorId || null,
+    proveedor: suppliers.find(s => s.id === proveedorId)?.nombre || 'Sin proveedor',
+    lineas
+  }));
+};
+
+// --- Historial y papelera ---
+const ENTITY_LABELS = { orders: 'Pedido', expenses: 'Gasto', inventory: 'Inventario', payments: 'Abono', products: 'Producto', customers: 'Cliente', suppliers: 'Proveedor', purchaseOrders: 'Orden de compra', students: 'Alumno' };
+const ACTION_LABELS = { create: 'Creó', update: 'Modificó', delete: 'Eliminó', restore: 'Restauró', purge: 'Borró definitivamente' };
+
+// Campos de control que no se muestran en el historial
+const META_FIELDS = ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'deletedAt', 'deletedBy', 'legacyAmounts'];
+
+const describeItem = (type, data = {}) => {
+  if (type === 'orders') return data.cliente || 'Pedido sin cliente';
+  if (type === 'expenses') return data.concepto || 'Gasto';
+  if (type === 'inventory') return data.item || 'Artículo';
+  if (type === 'payments') return `Abono ${formatMoney(data.monto, data.moneda)}`;
+  if (type === 'products') return data.nombre || 'Producto';
+  if (type === 'customers') return data.nombre || 'Cliente';
+  if (type === 'suppliers') return data.nombre || 'Proveedor';
+  if (type === 'purchaseOrders') return `Compra a ${data.proveedor || 'proveedor'}`;
+  if (type === 'students') return [data.nombre || 'Alumno', data.grado].filter(Boolean).join(' · ');
+  return type;
+};
+
+const stripMeta = (data = {}) => Object.fromEntries(Object.entries(data).filter(([k]) => !META_FIELDS.includes(k)));
+
+// Los documentos eliminados se conservan con `deletedAt` hasta vaciar la papelera
+const splitDeleted = (docs) => [docs.filter(d => !d.deletedAt), docs.filter(d => d.deletedAt)];
+
+// --- Documentos (cotización, recibo, nota de entrega) ---
+const DOCUMENT_TYPES = {
+  quote: { title: 'COTIZACIÓN', prefix: 'COT' },
+  receipt: { title: 'RECIBO DE PAGO', prefix: 'REC' },
+  delivery: { title: 'NOTA DE ENTREGA', prefix: 'NE' }
+};
+
+const formatDocNumber = (kind, n) => `${DOCUMENT_TYPES[kind].prefix}-${String(n).padStart(5, '0')}`;
+
+/**
+ * Genera el PDF de un documento del pedido en el navegador.
+ * `studio` aporta la marca del estudio (nombre, datos de contacto y logo).
+ */
+const createDocumentPdf = ({ kind, number, studio = {}, order, customer, payment, paid = 0 }) => {
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+  const left = 20;
+  const right = 190;
+  let y = 20;
+
+  // Encabezado con la marca del estudio
+  if (studio.logo) {
+    try {
+      pdf.addImage(studio.logo, studio.logo.startsWith('data:image/png') ? 'PNG' : 'JPEG', left, y - 5, 25, 25);
+    } catch (e) {
+      console.warn("No se pudo incluir el logo:", e);
+    }
+  }
+  const brandX = studio.logo ? left + 30 : left;
+  pdf.setFont('helvetica', 'bold').setFontSize(16).text(studio.nombre || 'StudioManager', brandX, y + 2);
+  pdf.setFont('helvetica', 'normal').setFontSize(9);
+  [studio.direccion, [studio.telefono, studio.email].filter(Boolean).join(' · '), studio.idTributario && `ID tributario: ${studio.idTributario}`]
+    .filter(Boolean)
+    .forEach((line, idx) => pdf.text(line, brandX, y + 8 + idx * 4.5));
+
+  pdf.setFont('helvetica', 'bold').setFontSize(14).text(DOCUMENT_TYPES[kind].title, right, y + 2, { align: 'right' });
+  pdf.setFont('helvetica', 'normal').setFontSize(10);
+  pdf.text(`N° ${number}`, right, y + 8, { align: 'right' });
+  pdf.text(`Fecha: ${kind === 'receipt' ? payment.fecha : today()}`, right, y + 13, { align: 'right' });
+
+  y += 30;
+  pdf.setDrawColor(200).line(left, y, right, y);
+  y += 8;
+
+  // Cliente
+  pdf.setFont('helvetica', 'bold').text('Cliente', left, y);
+  pdf.setFont('helvetica', 'normal');
+  [customer?.nombre || order.cliente, customer?.contacto, customer?.direccion, customer?.idTributario && `ID tributario: ${customer.idTributario}`]
+    .filter(Boolean)
+    .forEach((line, idx) => pdf.text(line, left, y + 6 + idx * 5));
+  y += 30;
+
+  const money = moneySettings(studio);
+  // jsPDF no dibuja los espacios finos que usa Intl entre el símbolo y el número
+  const amount = (cents) => formatMoney(cents, orderCurrency(order, money), money.locale).replace(/[\u00a0\u202f]/g, ' ');
+  const total = Number(order.total) || 0;
+  const lines = order.items?.length
+    ? order.items
+    : [{ nombre: order.descripcion || 'Anuario escolar', cantidad: 1, precio: total }];
+
+  if (kind === 'receipt') {
+    pdf.setFontSize(11);
+    const body = `Recibimos de ${customer?.nombre || order.cliente} la suma de ${amount(payment.monto)} mediante ${String(payment.metodo).toLowerCase()}, como abono al pedido ${order.descripcion || lines.map(l => `${l.cantidad} × ${l.nombre}`).join(', ')}.`;
+    pdf.text(pdf.splitTextToSize(body, right - left), left, y);
+    y += 25;
+    [
+      ['Total del pedido', amount(total)],
+      ['Pagado a la fecha', amount(paid)],
+      ['Saldo pendiente', amount(total - paid)]
+    ].forEach(([label, value]) => {
+      pdf.text(label, left, y);
+      pdf.text(value, right, y, { align: 'right' });
+      y += 6;
+    });
+    if (payment.recibo) pdf.setFontSize(9).text(`Referencia: ${payment.recibo}`, left, y + 4);
+    if (payment.nota) pdf.setFontSize(9).text(payment.nota, left, y + 9);
+  } else {
+    const withPrices = kind === 'quote';
+    pdf.setFont('helvetica', 'bold').setFontSize(10);
+    pdf.text('Descripción', left, y);
+    pdf.text('Cant.', withPrices ? 120 : right, y, { align: 'right' });
+    if (withPrices) {
+      pdf.text('Precio', 155, y, { align: 'right' });
+      pdf.text('Subtotal', right, y, { align: 'right' });
+    }
+    y += 3;
+    pdf.line(left, y, right, y);
+    pdf.setFont('helvetica', 'normal');
+    lines.forEach(line => {
+      y += 7;
+      pdf.text(String(line.nombre), left, y);
+      pdf.text(String(line.cantidad), withPrices ? 120 : right, y, { align: 'right' });
+      if (withPrices) {
+        pdf.text(amount(line.precio), 155, y, { align: 'right' });
+        pdf.text(amount(line.cantidad * line.precio), right, y, { align: 'right' });
+      }
+    });
+    y += 4;
+    pdf.line(left, y, right, y);
+    y += 8;
+    if (withPrices) {
+      pdf.setFont('helvetica', 'bold').text('Total', 155, y, { align: 'right' });
+      pdf.text(amount(total), right, y, { align: 'right' });
+    } else {
+      y += 30;
+      pdf.line(left, y, left + 60, y);
+      pdf.line(right - 60, y, right, y);
+      pdf.setFontSize(9).text('Entregado por', left, y + 5);
+      pdf.text('Recibido por (nombre y firma)', right - 60, y + 5);
+    }
+  }
+
+  return pdf;
+};
+
+// --- Importación / exportación de planillas ---
+const DATA_FIELDS = {
+  orders: [
+    { key: 'cliente', label: 'Cliente', required: true },
+    { key: 'descripcion', label: 'Descripción' },
+    { key: 'total', label: 'Total', type: 'money', required: true },
+    { key: 'adelanto', label: 'Abono', type: 'money' },
+    { key: 'moneda', label: 'Moneda', options: Object.keys(CURRENCIES) },
+    { key: 'estado', label: 'Estado', options: ORDER_STATES },
+    { key: 'fecha', label: 'Fecha', type: 'date' }
+  ],
+  expenses: [
+    { key: 'concepto', label: 'Concepto', required: true },
+    { key: 'monto', label: 'Monto', type: 'money', required: true },
+    { key: 'fecha', label: 'Fecha', type: 'date', required: true },
+    { key: 'categoria', label: 'Categoría', options: EXPENSE_CATEGORIES }
+  ],
+  inventory: [
+    { key: 'item', label: 'Nombre', required: true },
+    { key: 'stock', label: 'Stock', type: 'number', required: true },
+    { key: 'minimo', label: 'Mínimo', type: 'number' },
+    { key: 'costo', label: 'Costo unitario', type: 'money' }
+  ]
+};
+
+const DATA_LABELS = { orders: 'Pedidos', expenses: 'Gastos', inventory: 'Inventario' };
+
+// Fecha de referencia de un registro para filtros por período
+const recordDate = (type, record) => (type === 'expenses' ? record.fecha : (record.createdAt || '').split('T')[0]) || '';
+
+// Clave para detectar registros repetidos al importar
+const duplicateKey = (type, data) => {
+  if (type === 'orders') return [normalizeName(data.cliente), Number(data.total) || 0, data.fecha || ''].join('|');
+  if (type === 'expenses') return [normalizeName(data.concepto), Number(data.monto) || 0, data.fecha || ''].join('|');
+  return normalizeName(data.item);
+};
+
+// Asocia cada campo con la columna del archivo de igual nombre o etiqueta
+const guessMapping = (type, headers) => Object.fromEntries(DATA_FIELDS[type].map(f => [
+  f.key,
+  headers.find(h => [f.key, f.label].map(normalizeName).includes(normalizeName(h))) || ''
+]));
+
+// Lectura y validación de las filas: mapImportRows en lib/imports.js
+const downloadSheet = (rows, fileName, bookType) => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Datos');
+  XLSX.writeFile(wb, fileName, { bookType });
+};
+
+// --- Lista de alumnos por pedido ---
+// Importes por alumno, totales de la lista y lectura de listas de clase: lib/roster.js
+
+// --- Listados paginados (Pedidos y Finanzas) ---
+const PAGE_SIZE = 25;
+
+// Pestaña de la aplicación → colección que lista
+const LIST_TABS = { orders: 'orders', finance: 'expenses' };
+
+const LIST_DEFAULTS = {
+  orders: { q: '', estado: '', desde: '', hasta: '', saldo: '', sort: 'createdAt', dir: 'desc' },
+  expenses: { q: '', categoria: '', desde: '', hasta: '', sort: 'fecha', dir: 'desc' }
+};
+
+// Filtros que no puede resolver Firestore: se aplican solo sobre las páginas ya
+// cargadas y la pantalla lo indica junto al filtro
+const CLIENT_FILTERS = ['q', 'saldo'];
+
+// Los filtros de la pestaña activa viven en la URL para poder compartir o recargar la vista
+const readListFilters = () => {
+  const params = new URLSearchParams(window.location.search);
+  const type = LIST_TABS[params.get('tab')];
+  return Object.fromEntries(Object.entries(LIST_DEFAULTS).map(([t, defaults]) => [t, t !== type ? defaults
+    : Object.fromEntries(Object.entries(defaults).map(([k, v]) => [k, params.get(k) ?? v]))]));
+};
+
+const writeListFilters = (tab, filters) => {
+  const params = new URLSearchParams();
+  if (tab !== 'dashboard') params.set('tab', tab);
+  const defaults = LIST_DEFAULTS[LIST_TABS[tab]] || {};
+  Object.entries(filters || {}).forEach(([k, v]) => { if (v && v !== defaults[k]) params.set(k, v); });
+  const search = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+};
+
+/**
+ * Consulta de una página del listado para el repositorio de datos. Con rango
+ * de fechas la consulta se ordena por la fecha (Firestore exige ordenar
+ * primero por el campo con desigualdad) y el orden elegido se aplica sobre
+ * las páginas cargadas. Los índices compuestos están en firestore.indexes.json.
+ */
+const listQuerySpec = (type, filters) => {
+  const dateField = type === 'expenses' ? 'fecha' : 'createdAt';
+  const conditions = [];
+  if (filters.estado) conditions.push(['estado', '==', filters.estado]);
+  if (filters.categoria) conditions.push(['categoria', '==', filters.categoria]);
+  // `fecha` es un día (AAAA-MM-DD); `createdAt` es un instante en UTC, así que se acota al día local
+  const bound = (day, time) => (type === 'expenses' ? day : new Date(`${day}T${time}`).toISOString());
+  if (filters.desde) conditions.push([dateField, '>=', bound(filters.desde, '00:00:00')]);
+  if (filters.hasta) conditions.push([dateField, '<=', bound(filters.hasta, '23:59:59.999')]);
+  const ranged = filters.desde || filters.hasta;
+  return {
+    where: conditions,
+    orderBy: [ranged ? dateField : filters.sort, ranged && filters.sort !== dateField ? 'desc' : filters.dir],
+    limit: PAGE_SIZE
+  };
+};
+
+/**
+ * Paginación por cursores: cada página escucha su propio tramo
+ * (después del último documento de la anterior + límite), de modo que
+ * solo se leen las páginas pedidas y las ediciones se ven sin recargar.
+ * `subscribePage(cursor, onPage, onError)` escucha una página en el repositorio.
+ * Cambiar `queryKey` (filtros del servidor u orden) vuelve a la primera página.
+ */
+const usePagedQuery = (subscribePage, queryKey, enabled) => {
+  const [paging, setPaging] = useState({ key: queryKey, cursors: [null], pages: [] });
+  const current = paging.key === queryKey ? paging : { key: queryKey, cursors: [null], pages: [] };
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const unsubs = current.cursors.map((cursor, i) => subscribePage(cursor, (docs, last) => {
+      setPaging(prev => {
+        const base = prev.key === queryKey ? prev : { key: queryKey, cursors: [null], pages: [] };
+        const pages = [...base.pages];
+        pages[i] = { docs, last };
+        return { ...base, pages };
+      });
+    }, err => console.error("Error listado:", err)));
+    return () => unsubs.forEach(unsub => unsub());
+  }, [queryKey, current.cursors.length, enabled]);
+
+  const lastPage = current.pages[current.cursors.length - 1];
+  const hasMore = Boolean(lastPage && lastPage.docs.length === PAGE_SIZE);
+  return {
+    records: current.pages.filter(Boolean).flatMap(page => page.docs).filter(r => !r.deletedAt),
+    loading: current.pages.filter(Boolean).length < current.cursors.length,
+    hasMore,
+    loadMore: () => hasMore && setPaging({ ...current, cursors: [...current.cursors, lastPage.last] })
+  };
+};
+
+// --- Formularios de pedido, gasto y artículo ---
+const EMPTY_FORMS = {
+  order: () => ({ cliente: '', customerId: null, descripcion: '', moneda: '', total: 0, adelanto: 0, estado: 'Pendiente', items: [] }),
+  expense: () => ({ concepto: '', monto: 0, fecha: today(), categoria: 'Otros', orderId: null }),
+  inventory: () => ({ item: '', stock: 0, minimo: 5, costo: 0, proveedorId: null })
+};
+
+const FORM_COLLECTIONS = { order: 'orders', expense: 'expenses', inventory: 'inventory' };
+
+// Importes que el formulario muestra en unidades y se guardan en centavos
+const FORM_MONEY_FIELDS = { order: ['total', 'adelanto'], expense: ['monto'], inventory: ['costo'] };
+
+const isAmount = (value) => String(value ?? '').trim() !== '' && !isNaN(Number(value)) && Number(value) >= 0;
+
+/**
+ * Valida los campos de un formulario y devuelve `{ campo: mensaje }`;
+ * un objeto vacío significa que se puede guardar. Al editar un pedido el
+ * abono no se valida: los pagos se gestionan desde su libro de abonos.
+ */
+const validateForm = (kind, values, { editing = false } = {}) => {
+  const errors = {};
+  if (kind === 'order') {
+    if (!editing && !values.customerId) errors.cliente = 'Selecciona o crea el cliente';
+    else if (!String(values.cliente || '').trim()) errors.cliente = 'El cliente es obligatorio';
+    // Las líneas de pedido ya llevan sus precios en centavos
+    const total = values.items?.length ? fromCents(lineItemsTotal(values.items)) : values.total;
+    if (!CURRENCIES[values.moneda]) errors.moneda = 'Elige la moneda del pedido';
+    if (!isAmount(total)) errors.total = 'El total debe ser un número igual o mayor a 0';
+    if (!editing) {
+      if (!isAmount(values.adelanto || 0)) errors.adelanto = 'El abono debe ser un número igual o mayor a 0';
+      else if (Number(values.adelanto) > Number(total)) errors.adelanto = 'El abono no puede superar el total';
+    }
+    if (!ORDER_STATES.includes(values.estado)) errors.estado = 'Estado no válido';
+  }
+  if (kind === 'expense') {
+    if (!String(values.concepto || '').trim()) errors.concepto = 'El concepto es obligatorio';
+    if (!isAmount(values.monto) || Number(values.monto) === 0) errors.monto = 'El monto debe ser mayor a 0';
+    if (!values.fecha) errors.fecha = 'La fecha es obligatoria';
+    if (!EXPENSE_CATEGORIES.includes(values.categoria)) errors.categoria = 'Categoría no válida';
+  }
+  if (kind === 'inventory') {
+    if (!String(values.item || '').trim()) errors.item = 'El nombre es obligatorio';
+    if (!isAmount(values.stock) || !Number.isInteger(Number(values.stock))) errors.stock = 'El stock debe ser un número entero igual o mayor a 0';
+    if (!isAmount(values.minimo) || !Number.isInteger(Number(values.minimo))) errors.minimo = 'El mínimo debe ser un número entero igual o mayor a 0';
+    if (!isAmount(values.costo || 0)) errors.costo = 'El costo debe ser un número igual o mayor a 0';
+  }
+  return errors;
+};
+
+// Convierte los valores ya validados del formulario al documento que se guarda
+const normalizeForm = (kind, values) => {
+  if (kind === 'order') {
+    const total = values.items?.length ? lineItemsTotal(values.items) : toCents(values.total);
+    return { ...values, cliente: values.cliente.trim(), descripcion: (values.descripcion || '').trim(), total, adelanto: toCents(values.adelanto) };
+  }
+  if (kind === 'expense') return { ...values, concepto: values.concepto.trim(), monto: toCents(values.monto) };
+  return { ...values, item: values.item.trim(), stock: Number(values.stock), minimo: Number(values.minimo), costo: toCents(values.costo) };
+};
+
 // --- Componentes de UI ---
+// Secciones fijas de la barra inferior en el móvil; las demás se abren desde "Más"
+const MOBILE_NAV_TABS = ['dashboard', 'orders', 'board', 'calendar'];
+
+const MODAL_TITLES = {
+  order: 'Nuevo pedido',
+  expense: 'Nuevo gasto',
+  inventory: 'Nuevo artículo',
+  product: 'Nuevo producto',
+  customer: 'Nuevo cliente',
+  supplier: 'Nuevo proveedor',
+  stock: 'Movimientos de stock',
+  payment: 'Abonos del pedido',
+  orderCard: 'Planificación del pedido',
+  closeSeason: 'Cerrar temporada',
+  messages: 'Avisos al cliente',
+  sync: 'Sincronización'
+};
+
+const EDIT_TITLES = {
+  order: 'Editar pedido',
+  expense: 'Editar gasto',
+  inventory: 'Editar artículo'
+};
+
+const inputClass = (error) => `w-full p-2 border rounded-lg bg-slate-50 ${error ? 'border-red-400' : ''}`;
+
+// Campo con etiqueta y mensaje de error en línea
+const Field = ({ label, error, children }) => (
+  <div>
+    <span className="block text-xs font-bold text-slate-500 uppercase mb-1">{label}</span>
+    {children}
+    {error && <p className="mt-1 text-[11px] text-red-600">{error}</p>}
+  </div>
+);
+
+// Encabezado de columna que alterna el orden ascendente / descendente
+const SortHeader = ({ label, field, filters, onSort, className = '' }) => (
+  <th className={`px-4 py-3 ${className}`}>
+    <button onClick={() => onSort(field)} className="font-bold text-slate-500 uppercase inline-flex items-center gap-1 hover:text-slate-700">
+      {label}
+      {filters.sort === field && (filters.dir === 'asc' ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+    </button>
+  </th>
+);
+
 const Card = ({ children, className = "" }) => (
   <div className={`bg-white rounded-xl border border-slate-200 shadow-sm ${className}`}>
     {children}
@@ -122,6 +999,509 @@ const Button = ({ children, onClick, variant = "primary", className = "", icon:
   );
 };
 
+const LoginScreen = () => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+    try {
+      await signInWithEmailAndPassword(auth, email.trim(), password);
+    } catch (err) {
+      console.error("Auth error:", err);
+      setError(err.code === 'auth/invalid-credential' || err.code === 'auth/wrong-password' || err.code === 'auth/user-not-found'
+        ? 'Correo o contraseña incorrectos.'
+        : err.code === 'auth/network-request-failed'
+          ? 'Sin conexión. El primer inicio de sesión en este equipo requiere internet.'
+          : 'No se pudo iniciar sesión. Intenta de nuevo.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex h-screen items-center justify-center bg-slate-50 p-4">
+      <Card className="w-full max-w-sm p-8">
+        <div className="flex items-center gap-3 text-blue-600 mb-6">
+          <BookOpen size={28} strokeWidth={2.5} />
+          <span className="font-bold text-xl tracking-tight">StudioManager</span>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input className="w-full p-2 border rounded-lg bg-slate-50" type="email" placeholder="Correo" autoComplete="username" value={email} onChange={e => setEmail(e.target.value)} />
+          <input className="w-full p-2 border rounded-lg bg-slate-50" type="password" placeholder="Contraseña" autoComplete="current-password" value={password} onChange={e => setPassword(e.target.value)} />
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <button type="submit" disabled={loading} className="w-full bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-60">
+            {loading ? 'Ingresando...' : 'Ingresar'}
+          </button>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
+// Editor de líneas de pedido a partir del catálogo de productos. Los precios
+// del catálogo están en la moneda del estudio y se pasan a la del pedido.
+const LineItemsEditor = ({ items, products, moneda, money = DEFAULT_MONEY, onChange }) => {
+  const priceIn = (product) => Math.round((Number(product.precio) || 0) / rateFor(moneda, money));
+  const format = (cents) => formatMoney(cents, moneda || money.moneda, money.locale);
+
+  const [productId, setProductId] = useState('');
+  const [cantidad, setCantidad] = useState(1);
+
+  const addLine = () => {
+    const product = products.find(p => p.id === productId);
+    if (!product || !(Number(cantidad) > 0)) return;
+    onChange([...items, { productId: product.id, nombre: product.nombre, cantidad: Number(cantidad), precio: priceIn(product) }]);
+    setProductId('');
+    setCantidad(1);
+  };
+
+  return (
+    <div className="space-y-2">
+      {items.map((line, idx) => (
+        <div key={idx} className="flex items-center justify-between text-xs bg-slate-50 border rounded-lg p-2">
+          <span><span className="font-bold">{line.cantidad} ×</span> {line.nombre}</span>
+          <div className="flex items-center gap-2">
+            <span className="font-bold">{format(line.cantidad * line.precio)}</span>
+            <button onClick={() => onChange(items.filter((_, i) => i !== idx))} className="text-slate-300 hover:text-red-500"><X size={12} /></button>
+          </div>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <select className="flex-1 min-w-0 p-2 border rounded-lg bg-slate-50 text-sm" value={productId} onChange={e => setProductId(e.target.value)}>
+          <option value="">Producto del catálogo...</option>
+          {products.map(p => <option key={p.id} value={p.id}>{p.nombre} ({format(priceIn(p))})</option>)}
+        </select>
+        <input className="w-16 p-2 border rounded-lg bg-slate-50 text-sm" type="number" min="1" value={cantidad} onChange={e => setCantidad(e.target.value)} />
+        <button onClick={addLine} className="px-3 border rounded-lg hover:bg-slate-50"><Plus size={14} /></button>
+      </div>
+    </div>
+  );
+};
+
+// Receta de materiales de inventario consumidos por cada unidad de producto
+const MaterialsEditor = ({ materiales, inventory, onChange }) => {
+  const [inventoryId, setInventoryId] = useState('');
+  const [cantidad, setCantidad] = useState(1);
+
+  const addMaterial = () => {
+    if (!inventoryId || !(Number(cantidad) > 0)) return;
+    onChange([...materiales.filter(m => m.inventoryId !== inventoryId), { inventoryId, cantidad: Number(cantidad) }]);
+    setInventoryId('');
+    setCantidad(1);
+  };
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs font-bold text-slate-500 uppercase">Materiales por unidad</p>
+      {materiales.map(m => (
+        <div key={m.inventoryId} className="flex items-center justify-between text-xs bg-slate-50 border rounded-lg p-2">
+          <span>{inventory.find(i => i.id === m.inventoryId)?.item || 'Material eliminado'}</span>
+          <div className="flex items-center gap-2">
+            <span className="font-bold">{m.cantidad}</span>
+            <button onClick={() => onChange(materiales.filter(x => x.inventoryId !== m.inventoryId))} className="text-slate-300 hover:text-red-500"><X size={12} /></button>
+          </div>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <select className="flex-1 min-w-0 p-2 border rounded-lg bg-slate-50 text-sm" value={inventoryId} onChange={e => setInventoryId(e.target.value)}>
+          <option value="">Material...</option>
+          {inventory.map(i => <option key={i.id} value={i.id}>{i.item}</option>)}
+        </select>
+        <input className="w-16 p-2 border rounded-lg bg-slate-50 text-sm" type="number" min="0" step="any" value={cantidad} onChange={e => setCantidad(e.target.value)} />
+        <button onClick={addMaterial} className="px-3 border rounded-lg hover:bg-slate-50"><Plus size={14} /></button>
+      </div>
+    </div>
+  );
+};
+
+// Selector de cliente con autocompletado; permite crear uno nuevo desde el pedido
+const CustomerPicker = ({ customers, value, onSelect, onCreate }) => {
+  const [query, setQuery] = useState(value?.nombre || '');
+  const [open, setOpen] = useState(false);
+
+  const matches = useMemo(() => {
+    const q = normalizeName(query);
+    return customers.filter(c => !q || normalizeName(c.nombre).includes(q) || normalizeName(c.contacto).includes(q)).slice(0, 6);
+  }, [customers, query]);
+  const exact = customers.some(c => normalizeName(c.nombre) === normalizeName(query));
+
+  const select = (customer) => {
+    setQuery(customer.nombre);
+    setOpen(false);
+    onSelect(customer);
+  };
+
+  return (
+    <div className="relative">
+      <input
+        className="w-full p-2 border rounded-lg bg-slate-50"
+        placeholder="Cliente / colegio"
+        value={query}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onChange={e => { setQuery(e.target.value); setOpen(true); onSelect(null); }}
+      />
+      {open && (matches.length > 0 || (query.trim() && !exact)) && (
+        <div className="absolute z-10 mt-1 w-full bg-white border rounded-lg shadow-lg text-sm max-h-56 overflow-y-auto">
+          {matches.map(c => (
+            <button key={c.id} onMouseDown={() => select(c)} className="w-full text-left px-3 py-2 hover:bg-slate-50">
+              <p className="font-medium">{c.nombre}</p>
+              {c.contacto && <p className="text-[11px] text-slate-400">{c.contacto}</p>}
+            </button>
+          ))}
+          {query.trim() && !exact && (
+            <button
+              onMouseDown={async () => {
+                const created = await onCreate(query.trim());
+                if (created) select(created);
+              }}
+              className="w-full text-left px-3 py-2 text-blue-600 font-medium hover:bg-blue-50 flex items-center gap-2 border-t"
+            >
+              <Plus size={14} /> Crear cliente «{query.trim()}»
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Datos del estudio que aparecen en los documentos PDF
+const StudioSettingsForm = ({ studio, onSave }) => {
+  const [form, setForm] = useState({ nombre: '', direccion: '', telefono: '', email: '', idTributario: '', logo: '', ...DEFAULT_MONEY, ...studio });
+  const setRate = (code, value) => setForm(f => ({ ...f, tasas: { ...f.tasas, [code]: value } }));
+
+  // Solo se guardan las tasas completadas, como número
+  const save = () => onSave({
+    ...form,
+    tasas: Object.fromEntries(Object.entries(form.tasas || {}).filter(([code, v]) => code !== form.moneda && Number(v) > 0).map(([code, v]) => [code, Number(v)]))
+  });
+
+  const handleLogo = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (file.size > 200 * 1024) {
+      window.alert('El logo debe pesar menos de 200 KB.');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setForm(f => ({ ...f, logo: reader.result }));
+    reader.readAsDataURL(file);
+  };
+
+  return (
+    <Card className="p-6 max-w-lg space-y-4">
+      <h3 className="font-bold">Datos del estudio</h3>
+      <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Nombre comercial" value={form.nombre} onChange={e => setForm({...form, nombre: e.target.value})} />
+      <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Dirección" value={form.direccion} onChange={e => setForm({...form, direccion: e.target.value})} />
+      <div className="grid grid-cols-2 gap-2">
+        <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Teléfono" value={form.telefono} onChange={e => setForm({...form, telefono: e.target.value})} />
+        <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Correo" value={form.email} onChange={e => setForm({...form, email: e.target.value})} />
+      </div>
+      <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="ID tributario" value={form.idTributario} onChange={e => setForm({...form, idTributario: e.target.value})} />
+      <div className="flex items-center gap-4">
+        {form.logo && <img src={form.logo} alt="Logo" className="w-16 h-16 object-contain border rounded-lg" />}
+        <label className="text-sm text-blue-600 font-medium cursor-pointer">
+          {form.logo ? 'Cambiar logo' : 'Subir logo (PNG o JPG)'}
+          <input type="file" accept="image/png,image/jpeg" className="hidden" onChange={handleLogo} />
+        </label>
+        {form.logo && <button onClick={() => setForm({...form, logo: ''})} className="text-xs text-slate-400 hover:text-red-500">Quitar</button>}
+      </div>
+      <h4 className="font-bold text-sm pt-2">Moneda y formato</h4>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-xs text-slate-500">
+          Moneda del estudio
+          <select className="mt-1 w-full p-2 border rounded-lg bg-slate-50 text-sm text-slate-900" value={form.moneda} onChange={e => setForm({...form, moneda: e.target.value})}>
+            {Object.entries(CURRENCIES).map(([code, name]) => <option key={code} value={code}>{code} · {name}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-slate-500">
+          Formato regional
+          <select className="mt-1 w-full p-2 border rounded-lg bg-slate-50 text-sm text-slate-900" value={form.locale} onChange={e => setForm({...form, locale: e.target.value})}>
+            {Object.entries(LOCALES).map(([code, name]) => <option key={code} value={code}>{name} ({formatMoney(123456789, form.moneda, code)})</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="space-y-1">
+        <p className="text-xs text-slate-500">Tasas de referencia para pedidos en otra moneda (cada abono guarda la tasa del día en que se cobra)</p>
+        <div className="grid grid-cols-2 gap-2">
+          {Object.keys(CURRENCIES).filter(code => code !== form.moneda).map(code => (
+            <label key={code} className="flex items-center gap-2 text-xs text-slate-500">
+              <span className="w-14 shrink-0">1 {code} =</span>
+              <input className="w-full p-1 border rounded-lg bg-slate-50 text-sm" type="number" min="0" step="any" value={form.tasas?.[code] ?? ''} onChange={e => setRate(code, e.target.value)} />
+              <span>{form.moneda}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+      <Button onClick={save}>Guardar</Button>
+    </Card>
+  );
+};
+
+const NotificationSettingsForm = ({ settings, onSave }) => {
+  const [form, setForm] = useState(settings);
+  const setTemplate = (key, changes) => setForm(f => ({ ...f, plantillas: { ...f.plantillas, [key]: { ...f.plantillas[key], ...changes } } }));
+
+  return (
+    <Card className="p-6 max-w-lg space-y-4">
+      <h3 className="font-bold">Avisos a clientes</h3>
+      <div className="grid grid-cols-2 gap-2">
+        <select className="w-full p-2 border rounded-lg bg-slate-50" value={form.proveedor} onChange={e => setForm({...form, proveedor: e.target.value})}>
+          {Object.entries(NOTIFICATION_PROVIDERS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-xs text-slate-500">
+          Recordar cada
+          <input className="w-16 p-2 border rounded-lg bg-slate-50" type="number" min="1" value={form.diasRecordatorio} onChange={e => setForm({...form, diasRecordatorio: Number(e.target.value)})} />
+          días
+        </label>
+      </div>
+      {form.proveedor === 'email' && (
+        <>
+          <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="URL del servidor de correo (relé SMTP)" value={form.relayUrl} onChange={e => setForm({...form, relayUrl: e.target.value})} />
+          <p className="text-[11px] text-slate-400">El relé recibe un POST con JSON {'{ to, subject, text }'} desde este sitio (CORS) y responde 2xx cuando acepta el correo. Sin relé usa el proveedor simulado.</p>
+        </>
+      )}
+      {NOTIFICATION_PROVIDERS[form.proveedor]?.manual && (
+        <p className="text-[11px] text-slate-400">Los avisos se juntan en una bandeja; cada chat se abre con un clic y queda pendiente hasta confirmar que se envió.</p>
+      )}
+      <p className="text-[11px] text-slate-400">Variables: {TEMPLATE_VARS.map(v => `{${v}}`).join(' ')}</p>
+      {[...ORDER_STATES, REMINDER_EVENT].map(key => (
+        <div key={key} className="border-t pt-3 space-y-2">
+          <label className="flex items-center gap-2 text-sm font-bold">
+            <input type="checkbox" checked={form.plantillas[key].activo} onChange={e => setTemplate(key, { activo: e.target.checked })} />
+            {key === REMINDER_EVENT ? 'Recordatorio de saldo' : `Al pasar a ${key}`}
+          </label>
+          {form.plantillas[key].activo && (
+            <>
+              {form.proveedor === 'email' && <input className="w-full p-2 border rounded-lg bg-slate-50 text-sm" placeholder="Asunto" value={form.plantillas[key].asunto} onChange={e => setTemplate(key, { asunto: e.target.value })} />}
+              <textarea className="w-full p-2 border rounded-lg bg-slate-50 text-sm" rows={3} value={form.plantillas[key].cuerpo} onChange={e => setTemplate(key, { cuerpo: e.target.value })} />
+            </>
+          )}
+        </div>
+      ))}
+      <Button onClick={() => onSave(form)}>Guardar</Button>
+    </Card>
+  );
+};
+
+// Asistente de importación: archivo → mapeo de columnas → vista previa → escritura
+const ImportWizard = ({ types, existing, locale, onImport }) => {
+  const [type, setType] = useState(types[0]);
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const reset = () => {
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const wb = XLSX.read(reader.result, { type: 'array', cellDates: true });
+        const sheetRows = XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { defval: '' });
+        const cols = sheetRows.length ? Object.keys(sheetRows[0]) : [];
+        setFileName(file.name);
+        setHeaders(cols);
+        setRows(sheetRows);
+        setMapping(guessMapping(type, cols));
+      } catch (err) {
+        console.error("Error importación:", err);
+        window.alert('No se pudo leer el archivo. Usa CSV o XLSX.');
+      }
+    };
+    reader.readAsArrayBuffer(file);
+  };
+
+  const preview = useMemo(() => {
+    const known = new Set((existing[type] || []).map(d => duplicateKey(type, { ...d, fecha: d.fecha || recordDate(type, d) })));
+    const seen = new Set();
+    return mapImportRows(DATA_FIELDS[type], rows, mapping, locale).map(r => {
+      const key = duplicateKey(type, r.data);
+      const duplicate = known.has(key) ? 'Ya existe' : seen.has(key) ? 'Repetido en el archivo' : null;
+      seen.add(key);
+      return { ...r, duplicate };
+    });
+  }, [type, rows, mapping, existing, locale]);
+
+  const toImport = preview.filter(r => r.errors.length === 0 && (includeDuplicates || !r.duplicate));
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      await onImport(type, toImport.map(r => r.data));
+      reset();
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Card className="p-6 space-y-4">
+      <h3 className="font-bold flex items-center gap-2"><Upload size={18} /> Importar</h3>
+      <div className="flex flex-wrap gap-2 items-center">
+        <select className="p-2 border rounded-lg bg-slate-50 text-sm" value={type} onChange={e => { setType(e.target.value); setMapping(guessMapping(e.target.value, headers)); }}>
+          {types.map(t => <option key={t} value={t}>{DATA_LABELS[t]}</option>)}
+        </select>
+        <label className="px-4 py-2 rounded-lg font-medium bg-slate-100 text-slate-700 hover:bg-slate-200 text-sm cursor-pointer">
+          {fileName || 'Elegir archivo CSV / XLSX'}
+          <input type="file" accept=".csv,.xlsx,.xls" className="hidden" onChange={handleFile} />
+        </label>
+        {fileName && <button onClick={reset} className="text-xs text-slate-400 hover:text-red-500">Descartar</button>}
+      </div>
+
+      {headers.length > 0 && (
+        <>
+          <div>
+            <p className="text-xs font-bold text-slate-500 uppercase mb-2">Columnas</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+              {DATA_FIELDS[type].map(f => (
+                <label key={f.key} className="text-xs flex items-center gap-2">
+                  <span className="w-24 font-medium">{f.label}{f.required && ' *'}</span>
+                  <select className="flex-1 p-1 border rounded bg-slate-50" value={mapping[f.key] || ''} onChange={e => setMapping({ ...mapping, [f.key]: e.target.value })}>
+                    <option value="">— Ignorar —</option>
+                    {headers.map(h => <option key={h} value={h}>{h}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="overflow-x-auto max-h-80 border rounded-lg">
+            <table className="w-full text-left text-xs">
+              <thead className="bg-slate-50 sticky top-0">
+                <tr>
+                  <th className="px-2 py-2">#</th>
+                  {DATA_FIELDS[type].map(f => <th key={f.key} className="px-2 py-2">{f.label}</th>)}
+                  <th className="px-2 py-2">Revisión</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {preview.map((r, idx) => (
+                  <tr key={idx} className={r.errors.length ? 'bg-red-50' : r.duplicate ? 'bg-amber-50' : ''}>
+                    <td className="px-2 py-1 text-slate-400">{idx + 1}</td>
+                    {DATA_FIELDS[type].map(f => <td key={f.key} className="px-2 py-1">{f.type === 'money' ? formatMoney(r.data[f.key]) : r.data[f.key] ?? ''}</td>)}
+                    <td className="px-2 py-1">
+                      {r.errors.length > 0 ? <span className="text-red-600">{r.errors.join('; ')}</span>
+                        : r.duplicate ? <span className="text-amber-600">{r.duplicate}</span>
+                        : <span className="text-emerald-600">OK</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <label className="text-xs flex items-center gap-2">
+              <input type="checkbox" checked={includeDuplicates} onChange={e => setIncludeDuplicates(e.target.checked)} />
+              Importar también los duplicados
+            </label>
+            <p className="text-xs text-slate-500">
+              {preview.filter(r => r.errors.length).length} con errores · {preview.filter(r => !r.errors.length && r.duplicate).length} duplicados · <span className="font-bold">{toImport.length} a importar</span>
+            </p>
+            <Button onClick={handleImport} icon={Upload} className={importing || !toImport.length ? 'opacity-50 pointer-events-none' : ''}>
+              {importing ? 'Importando...' : `Importar ${toImport.length}`}
+            </Button>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+};
+
+// Carga de alumnos desde la lista de clase: archivo CSV/XLSX o texto pegado de una planilla
+const ClassListImport = ({ existing, format, locale, onImport }) => {
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [fileName, setFileName] = useState('');
+
+  const reset = () => {
+    setText('');
+    setRows([]);
+    setFileName('');
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const wb = XLSX.read(reader.result, { type: 'array' });
+        setRows(XLSX.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { header: 1, defval: '' }));
+        setFileName(file.name);
+        setText('');
+      } catch (err) {
+        console.error("Error lista de clase:", err);
+        window.alert('No se pudo leer el archivo. Usa CSV o XLSX.');
+      }
+    };
+    reader.readAsArrayBuffer(file);
+  };
+
+  // Los alumnos que ya están en la lista (mismo nombre y grado) se omiten
+  const preview = useMemo(() => markDuplicateStudents(parseClassList(rows, locale), existing), [rows, existing, locale]);
+
+  const toImport = preview.filter(s => !s.duplicate);
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        className="w-full p-2 border rounded-lg bg-slate-50 text-xs font-mono"
+        rows={4}
+        placeholder={'Pega la lista desde la planilla: Nombre, Grado/Sección, Copias, Pagado\nAna Pérez\t5° A\t1\t20'}
+        value={text}
+        onChange={e => { setText(e.target.value); setRows(splitPastedRows(e.target.value)); setFileName(''); }}
+      />
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <label className="px-3 py-2 rounded-lg font-medium bg-slate-100 text-slate-700 hover:bg-slate-200 cursor-pointer">
+          {fileName || 'Elegir archivo CSV / XLSX'}
+          <input type="file" accept=".csv,.xlsx,.xls" className="hidden" onChange={handleFile} />
+        </label>
+        {rows.length > 0 && <button onClick={reset} className="text-slate-400 hover:text-red-500">Descartar</button>}
+        {preview.length > 0 && (
+          <span className="text-slate-500">
+            {preview.length - toImport.length} ya en la lista · <span className="font-bold">{toImport.length} a importar</span>
+          </span>
+        )}
+      </div>
+      {preview.length > 0 && (
+        <div className="max-h-48 overflow-y-auto border rounded-lg divide-y text-xs">
+          {preview.map((s, idx) => (
+            <div key={idx} className={`flex justify-between gap-2 px-2 py-1 ${s.duplicate ? 'bg-amber-50 text-slate-400' : ''}`}>
+              <span>{s.nombre}{s.grado && <span className="text-slate-400"> · {s.grado}</span>}</span>
+              <span>{s.copias} cop.{s.pagado > 0 && ` · pagó ${format(s.pagado)}`}{s.duplicate && ' · ya en la lista'}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {toImport.length > 0 && (
+        <Button className="w-full text-sm" icon={Upload} onClick={() => { onImport(toImport.map(({ duplicate, ...s }) => s)); reset(); }}>
+          Importar {toImport.length} alumnos
+        </Button>
+      )}
+    </div>
+  );
+};
+
 const Badge = ({ children, status }) => {
   const styles = {
     'Pendiente': 'bg-yellow-100 text-yellow-700',
@@ -141,19 +1521,84 @@ const Badge = ({ children, status }) => {
 
 // --- Aplicación Principal ---
 export default function App() {
-  const [activeTab, setActiveTab] = useState('dashboard');
+  const [activeTab, setActiveTab] = useState(() => new URLSearchParams(window.location.search).get('tab') || 'dashboard');
   const [user, setUser] = useState(null);
-  const [orders, setOrders] = useState([]);
-  const [expenses, setExpenses] = useState([]);
+  const [authReady, setAuthReady] = useState(false);
+  const [staffProfile, setProfile] = useState(null);
+  const [workspaceId, setWorkspaceId] = useState(() => localStorage.getItem(`${appId}:workspace`) || DEFAULT_WORKSPACE);
+  const [workspaceDocs, setWorkspaceDocs] = useState([]);
+  const [workspaceForm, setWorkspaceForm] = useState({ sede: '', temporada: today().slice(0, 4) });
+  const [closingWorkspace, setClosingWorkspace] = useState(null);
+  const [workspaceSummary, setWorkspaceSummary] = useState(null);
+  const [staff, setStaff] = useState([]);
+  const [team, setTeam] = useState(null);
+  const [activity, setActivity] = useState([]);
+  const [bin, setBin] = useState({ orders: [], expenses: [], inventory: [], payments: [], products: [], customers: [], suppliers: [], purchaseOrders: [], students: [] });
+  const [historyFilter, setHistoryFilter] = useState({ type: '', docId: '' });
+  const [toast, setToast] = useState(null);
+  const [exportRange, setExportRange] = useState({ desde: '', hasta: '' });
+  const [listFilters, setListFilters] = useState(readListFilters);
+  const [reportPeriod, setReportPeriod] = useState({ mode: 'month', month: today().slice(0, 7), season: today().slice(0, 4), desde: '', hasta: '' });
+  const [online, setOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [pendingWrites, setPendingWrites] = useState({});
+  const [lastSync, setLastSync] = useState(() => localStorage.getItem(`${appId}:lastSync`));
+  const [allOrders, setAllOrders] = useState([]);
+  const [allExpenses, setAllExpenses] = useState([]);
+  const [expenseTotal, setExpenseTotal] = useState(null);
   const [inventory, setInventory] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [stockMovements, setStockMovements] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [rosterOrderId, setRosterOrderId] = useState(null);
+  const [rosterView, setRosterView] = useState('lista');
+  const [rosterSearch, setRosterSearch] = useState('');
+  const [studentForm, setStudentForm] = useState({ nombre: '', grado: '', copias: 1 });
+  const [stockItemId, setStockItemId] = useState(null);
+  const [stockForm, setStockForm] = useState({ delta: '', motivo: STOCK_REASONS[0], nota: '' });
+  const [supplierForm, setSupplierForm] = useState({ nombre: '', contacto: '', telefono: '', email: '' });
+  const [studio, setStudio] = useState({});
+  const [notificationSettings, setNotificationSettings] = useState(() => mergeNotificationSettings());
+  const [notifications, setNotifications] = useState([]);
+  const [messageOrderId, setMessageOrderId] = useState(null);
+  const [outbox, setOutbox] = useState([]);
+  const [selectedCustomerId, setSelectedCustomerId] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(null);
+  const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [paymentOrderId, setPaymentOrderId] = useState(null);
+  const [cardOrderId, setCardOrderId] = useState(null);
+  const [agendaForm, setAgendaForm] = useState({ tipo: AGENDA_TYPES[0], fecha: '', hora: '', nota: '' });
+  const [calendarView, setCalendarView] = useState('month');
+  const [calendarDate, setCalendarDate] = useState(today);
+  const [calendarMine, setCalendarMine] = useState(false);
+  const [dragOverState, setDragOverState] = useState(null);
 
-  const [orderForm, setOrderForm] = useState({ cliente: '', descripcion: '', total: 0, adelanto: 0, estado: 'Pendiente' });
-  const [expenseForm, setExpenseForm] = useState({ concepto: '', monto: 0, fecha: new Date().toISOString().split('T')[0] });
-  const [inventoryForm, setInventoryForm] = useState({ item: '', stock: 0, minimo: 5 });
+  const [orderForm, setOrderForm] = useState(EMPTY_FORMS.order);
+  const [customerForm, setCustomerForm] = useState({ nombre: '', contacto: '', telefono: '', email: '', direccion: '', idTributario: '' });
+  const [productForm, setProductForm] = useState({ nombre: '', precio: 0, materiales: [] });
+  const [expenseForm, setExpenseForm] = useState(EMPTY_FORMS.expense);
+  const [inventoryForm, setInventoryForm] = useState(EMPTY_FORMS.inventory);
+  const [editing, setEditing] = useState(null);
+  const [formErrors, setFormErrors] = useState({});
+  const [paymentForm, setPaymentForm] = useState({ fecha: today(), monto: 0, tasa: '', metodo: 'Efectivo', recibo: '', nota: '', studentId: '' });
+
+  const workspaces = withDefaultWorkspace(workspaceDocs);
+  const activeWorkspace = workspaces.find(w => w.id === workspaceId) || workspaces[0];
+  // Una temporada cerrada se consulta en solo lectura (ver READ_ONLY_ACTIONS)
+  const profile = staffProfile && (activeWorkspace.estado === 'cerrada' ? { ...staffProfile, readOnly: true } : staffProfile);
+
+  const money = moneySettings(studio);
+  const fmt = (cents, moneda) => formatMoney(cents, moneda || money.moneda, money.locale);
+
+  // Datos del espacio activo; equipo y espacios de trabajo se guardan en el principal
+  const repo = hasDataBackend ? getRepository(workspaceId) : null;
+  const sharedRepo = hasDataBackend ? getRepository(DEFAULT_WORKSPACE) : null;
 
   // 1. Diagnóstico de errores en pantalla
-  if (!firebaseConfig) {
+  if (!firebaseConfig && !isLocalMode) {
     return (
       <div className="flex flex-col h-screen items-center justify-center bg-white p-10 text-center">
         <div className="bg-red-50 p-8 rounded-2xl border border-red-100 max-w-md">
@@ -175,94 +1620,1215 @@ export default function App() {
           >
             Reintentar Carga
           </button>
+          <button
+            onClick={() => {
+              localStorage.setItem(`${appId}:demo`, '1');
+              window.location.reload();
+            }}
+            className="mt-2 w-full border border-slate-300 text-slate-600 py-2 rounded-lg text-sm font-bold"
+          >
+            Usar en modo local
+          </button>
+          <p className="text-[11px] text-slate-400 mt-2">El modo local guarda los datos solo en este navegador, sin Firebase.</p>
         </div>
       </div>
     );
   }
 
-  // 2. Autenticación
-  useEffect(() => {
-    if (!auth) return;
-    const initAuth = async () => {
-      try {
-        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-          await signInWithCustomToken(auth, __initial_auth_token);
-        } else {
-          await signInAnonymously(auth);
-        }
-      } catch (e) {
-        console.error("Auth error:", e);
+  // 2. Autenticación (cuentas de personal con correo y contraseña)
+  useEffect(() => {
+    if (isLocalMode) {
+      setUser(LOCAL_USER);
+      setAuthReady(true);
+      return;
+    }
+    if (!auth) return;
+    if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
+      signInWithCustomToken(auth, __initial_auth_token).catch(e => console.error("Auth error:", e));
+    }
+    const unsubscribe = onAuthStateChanged(auth, (u) => {
+      setUser(u);
+      setAuthReady(true);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Estado de la conexión
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Perfil y rol del usuario. Una cuenta nueva queda registrada sin rol
+  // hasta que un administrador se lo asigne, salvo la primera de la
+  // instalación, que se queda con administración (ver bootstrap en las reglas).
+  // En el modo local el único usuario es administrador.
+  useEffect(() => {
+    if (!user || !sharedRepo) {
+      setProfile(null);
+      return;
+    }
+    return sharedRepo.subscribeDoc('staff', user.uid, (data, { synced }) => {
+      if (data) {
+        setProfile({ id: user.uid, ...data });
+      } else if (synced) {
+        // Solo se crea con respuesta del servidor: sin conexión y sin caché no
+        // se sabe si el perfil existe y se podría pisar el rol asignado
+        const rol = isLocalMode ? 'admin' : null;
+        const created = { email: user.email || '', rol, createdAt: new Date().toISOString() };
+        setProfile({ id: user.uid, ...created });
+        if (isLocalMode) {
+          sharedRepo.set('staff', user.uid, created).catch(e => console.error("Error perfil:", e));
+          return;
+        }
+        // La marca bootstrap/admin se crea una sola vez junto con el primer administrador
+        sharedRepo.transaction(async (tx) => {
+          const first = !(await tx.get('bootstrap', 'admin'));
+          tx.set('staff', user.uid, { ...created, rol: first ? 'admin' : null });
+          if (first) tx.set('bootstrap', 'admin', { uid: user.uid, email: created.email, createdAt: created.createdAt });
+        }).catch(e => console.error("Error perfil:", e));
+      }
+    }, (err) => console.error("Error perfil:", err));
+  }, [user]);
+
+  // Escrituras pendientes de subir y última sincronización con el servidor
+  const trackSync = (key, { pending, synced }) => {
+    setPendingWrites(p => (p[key] === pending ? p : { ...p, [key]: pending }));
+    if (synced) {
+      const now = new Date().toISOString();
+      setLastSync(now);
+      localStorage.setItem(`${appId}:lastSync`, now);
+    }
+  };
+
+  // Espacios de trabajo disponibles (compartidos por todas las sedes)
+  useEffect(() => {
+    if (!profile?.rol || !sharedRepo) return;
+    return sharedRepo.subscribe('workspaces', (docs) => {
+      setWorkspaceDocs(docs.sort((a, b) => workspaceLabel(a).localeCompare(workspaceLabel(b), 'es', { numeric: true })));
+    }, (err) => console.error("Error espacios:", err));
+  }, [profile?.rol]);
+
+  useEffect(() => {
+    localStorage.setItem(`${appId}:workspace`, workspaceId);
+  }, [workspaceId]);
+
+  // Pedidos y Finanzas leen su listado por páginas (usePagedQuery); mientras
+  // están abiertos no se escucha la colección completa, que sí necesitan el
+  // tablero, la agenda, los reportes y el resto de secciones
+  const wholeOrders = activeTab !== 'orders';
+  const wholeExpenses = activeTab !== 'finance';
+
+  // 3. Datos en tiempo real del espacio de trabajo activo
+  useEffect(() => {
+    if (!profile?.rol || !repo || !wholeOrders) return;
+    return repo.subscribe('orders', (docs, sync) => {
+      trackSync('orders', sync);
+      const [active, deleted] = splitDeleted(docs.map(d => withCents('orders', d)));
+      setAllOrders(active);
+      setBin(b => ({ ...b, orders: deleted }));
+    }, (err) => console.error("Error pedidos:", err));
+  }, [profile?.rol, workspaceId, wholeOrders]);
+
+  // Solo administración tiene acceso a los gastos
+  useEffect(() => {
+    if (!profile?.rol || !repo || !wholeExpenses) return;
+    if (!can(profile, 'viewFinance')) {
+      setAllExpenses([]);
+      return;
+    }
+    return repo.subscribe('expenses', (docs, sync) => {
+      trackSync('expenses', sync);
+      const [active, deleted] = splitDeleted(docs.map(d => withCents('expenses', d)));
+      setAllExpenses(active);
+      setBin(b => ({ ...b, expenses: deleted }));
+    }, (err) => console.error("Error finanzas:", err));
+  }, [profile?.rol, workspaceId, wholeExpenses]);
+
+  useEffect(() => {
+    if (!profile?.rol || !repo) return;
+
+    const unsubInventory = repo.subscribe('inventory', (docs, sync) => {
+      trackSync('inventory', sync);
+      const [active, deleted] = splitDeleted(docs.map(d => withCents('inventory', d)));
+      setInventory(active);
+      setBin(b => ({ ...b, inventory: deleted }));
+    }, (err) => console.error("Error inventario:", err));
+
+    const unsubPayments = repo.subscribe('payments', (docs, sync) => {
+      trackSync('payments', sync);
+      const [active, deleted] = splitDeleted(docs.map(d => withCents('payments', d)));
+      setPayments(active);
+      setBin(b => ({ ...b, payments: deleted }));
+    }, (err) => console.error("Error pagos:", err));
+
+    // El equipo se usa también para asignar responsables en el tablero de producción.
+    // Los perfiles completos son solo para administración; el resto del personal
+    // lee el directorio `team` (correo y rol de quien tiene acceso)
+    const unsubStaff = sharedRepo.subscribe(can(profile, 'manageStaff') ? 'staff' : 'team', (docs) => {
+      setStaff(docs);
+    }, (err) => console.error("Error equipo:", err));
+
+    const unsubProducts = repo.subscribe('products', (docs, sync) => {
+      trackSync('products', sync);
+      const [active, deleted] = splitDeleted(docs.map(d => withCents('products', d)));
+      setProducts(active);
+      setBin(b => ({ ...b, products: deleted }));
+    }, (err) => console.error("Error catálogo:", err));
+
+    const unsubCustomers = repo.subscribe('customers', (docs, sync) => {
+      trackSync('customers', sync);
+      const [active, deleted] = splitDeleted(docs);
+      setCustomers(active.sort((a, b) => (a.nombre || '').localeCompare(b.nombre || '')));
+      setBin(b => ({ ...b, customers: deleted }));
+    }, (err) => console.error("Error clientes:", err));
+
+    const unsubSuppliers = repo.subscribe('suppliers', (docs, sync) => {
+      trackSync('suppliers', sync);
+      const [active, deleted] = splitDeleted(docs);
+      setSuppliers(active.sort((a, b) => (a.nombre || '').localeCompare(b.nombre || '')));
+      setBin(b => ({ ...b, suppliers: deleted }));
+    }, (err) => console.error("Error proveedores:", err));
+
+    const unsubPurchaseOrders = repo.subscribe('purchaseOrders', (docs, sync) => {
+      trackSync('purchaseOrders', sync);
+      const [active, deleted] = splitDeleted(docs.map(d => withCents('purchaseOrders', d)));
+      setPurchaseOrders(active.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')));
+      setBin(b => ({ ...b, purchaseOrders: deleted }));
+    }, (err) => console.error("Error compras:", err));
+
+    const unsubStockMovements = repo.subscribe('stockMovements', (docs, sync) => {
+      trackSync('stockMovements', sync);
+      setStockMovements(docs.sort((a, b) => (b.at || '').localeCompare(a.at || '')));
+    }, (err) => console.error("Error movimientos:", err));
+
+    const unsubStudents = repo.subscribe('students', (docs, sync) => {
+      trackSync('students', sync);
+      const [active, deleted] = splitDeleted(docs);
+      setStudents(sortRoster(active));
+      setBin(b => ({ ...b, students: deleted }));
+    }, (err) => console.error("Error alumnos:", err));
+
+    const unsubStudio = repo.subscribeDoc('settings', 'studio', (data) => {
+      setStudio(data || {});
+    }, (err) => console.error("Error ajustes:", err));
+
+    const unsubNotificationSettings = repo.subscribeDoc('settings', 'notifications', (data) => {
+      setNotificationSettings(mergeNotificationSettings(data || {}));
+    }, (err) => console.error("Error ajustes de avisos:", err));
+
+    const unsubNotifications = repo.subscribe('notifications', (docs) => {
+      setNotifications(docs.sort((a, b) => (b.at || '').localeCompare(a.at || '')));
+    }, (err) => console.error("Error avisos:", err));
+
+    const unsubActivity = repo.subscribe('activity', (docs, sync) => {
+      trackSync('activity', sync);
+      setActivity(docs.sort((a, b) => (b.at || '').localeCompare(a.at || '')));
+    }, (err) => console.error("Error historial:", err));
+
+    return () => {
+      unsubInventory();
+      unsubPayments();
+      unsubStaff();
+      unsubProducts();
+      unsubCustomers();
+      unsubSuppliers();
+      unsubPurchaseOrders();
+      unsubStockMovements();
+      unsubStudents();
+      unsubStudio();
+      unsubNotificationSettings();
+      unsubNotifications();
+      unsubActivity();
+    };
+  }, [profile?.rol, workspaceId]);
+
+  // Administración mantiene el directorio `team` y, en instalaciones previas al
+  // alta automática, crea la marca que impide que otra cuenta se haga administradora
+  useEffect(() => {
+    if (!can(profile, 'manageStaff') || !sharedRepo) {
+      setTeam(null);
+      return;
+    }
+    if (!isLocalMode) {
+      sharedRepo.transaction(async (tx) => {
+        if (!(await tx.get('bootstrap', 'admin'))) {
+          tx.set('bootstrap', 'admin', { uid: user.uid, email: user.email || '', createdAt: new Date().toISOString() });
+        }
+      }).catch(e => console.error("Error bootstrap:", e));
+    }
+    return sharedRepo.subscribe('team', (docs) => setTeam(docs), (err) => console.error("Error equipo:", err));
+  }, [profile?.rol]);
+
+  useEffect(() => {
+    // `staff` tiene los perfiles completos cuando incluye el propio
+    if (!team || !can(profile, 'manageStaff') || !staff.some(s => s.id === user?.uid)) return;
+    const changes = teamChanges(staff, team);
+    if (!changes.length) return;
+    const batch = sharedRepo.batch();
+    changes.forEach(([op, id, data]) => (op === 'set' ? batch.set('team', id, data) : batch.remove('team', id)));
+    queueWrite(batch.commit(), 'equipo');
+  }, [staff, team]);
+
+  // Aviso temporal con opción de deshacer
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  useEffect(() => {
+    writeListFilters(activeTab, listFilters[LIST_TABS[activeTab]]);
+  }, [activeTab, listFilters]);
+
+  // Solo los filtros que resuelve Firestore reinician la paginación
+  const serverKey = (type) => JSON.stringify([workspaceId, ...Object.entries(listFilters[type]).filter(([k]) => !CLIENT_FILTERS.includes(k))]);
+  const listQuery = (type) => (cursor, onPage, onError) => repo.subscribeQuery(type, listQuerySpec(type, listFilters[type]), cursor,
+    (docs, last) => onPage(docs.map(d => withCents(type, d)), last), onError);
+  const pagedOrders = usePagedQuery(listQuery('orders'), serverKey('orders'), Boolean(profile?.rol) && activeTab === 'orders');
+  const pagedExpenses = usePagedQuery(listQuery('expenses'), serverKey('expenses'), can(profile, 'viewFinance') && activeTab === 'finance');
+  // En Pedidos y Finanzas el resto de la pantalla (modales, abonos) trabaja con lo cargado
+  const orders = wholeOrders ? allOrders : pagedOrders.records;
+  const expenses = wholeExpenses ? allExpenses : pagedExpenses.records;
+
+  // Balance de Finanzas: los gastos se suman en el servidor en lugar de descargarlos todos
+  const loadedExpenses = pagedExpenses.records.map(e => `${e.id}:${e.monto}`).join();
+  useEffect(() => {
+    if (wholeExpenses || !can(profile, 'viewFinance')) return;
+    let active = true;
+    activeAmountTotal(repo, 'expenses', 'monto')
+      .then(total => active && setExpenseTotal(total))
+      .catch(e => {
+        console.error("Error total de gastos:", e);
+        if (active) setExpenseTotal(null);
+      });
+    return () => { active = false; };
+  }, [wholeExpenses, workspaceId, loadedExpenses]);
+
+  const setListFilter = (type, changes) => setListFilters(f => ({ ...f, [type]: { ...f[type], ...changes } }));
+  const toggleSort = (type) => (field) => setListFilter(type, {
+    sort: field,
+    dir: listFilters[type].sort === field && listFilters[type].dir === 'desc' ? 'asc' : 'desc'
+  });
+
+  // Usuario que realiza cada escritura
+  const actor = () => ({ uid: user.uid, email: user.email || '' });
+
+  // Salir del modo local vuelve a la pantalla de configuración de Firebase
+  const logout = () => {
+    if (!isLocalMode) return signOut(auth);
+    localStorage.removeItem(`${appId}:demo`);
+    window.location.reload();
+  };
+
+  /**
+   * Sin conexión Firestore aplica la escritura en la caché local y la envía al
+   * reconectar; la promesa solo se resuelve con la confirmación del servidor,
+   * por eso la interfaz no la espera. Los rechazos se informan en pantalla.
+   */
+  const queueWrite = (promise, label) => promise.catch(e => {
+    console.error(`Error ${label}:`, e);
+    setToast({ message: e.code === 'permission-denied' ? `Sin permisos para guardar (${label}).` : `No se pudo guardar (${label}).` });
+  });
+
+  // Registra cada cambio en la colección de actividad (quién, cuándo, antes/después)
+  const logActivity = (action, type, docId, before = null, after = null) => {
+    queueWrite(repo.set('activity', repo.newId('activity'), {
+      action, type, docId,
+      label: describeItem(type, after || before || {}),
+      before: before && stripMeta(before),
+      after: after && stripMeta(after),
+      by: actor(),
+      at: new Date().toISOString()
+    }), 'historial');
+  };
+
+  // Cada cambio de stock deja un movimiento con su motivo; con `batch` se guarda junto al cambio
+  const recordMovement = (batch, item, delta, motivo, extra = {}) => {
+    const now = new Date().toISOString();
+    const id = repo.newId('stockMovements');
+    const data = { inventoryId: item.id, item: item.item, delta, motivo, nota: '', ...extra, at: now, createdAt: now, createdBy: actor() };
+    if (batch) batch.set('stockMovements', id, data);
+    else queueWrite(repo.set('stockMovements', id, data), 'movimiento');
+  };
+
+  const addData = async (type, data) => {
+    try {
+      const id = repo.newId(type);
+      queueWrite(repo.set(type, id, { ...data, ...(MONEY_FIELDS[type] && { centavos: true }), createdAt: new Date().toISOString(), createdBy: actor() }), ENTITY_LABELS[type] || type);
+      logActivity('create', type, id, null, data);
+      setIsModalOpen(null);
+    } catch (e) { console.error("Error add:", e); }
+  };
+
+  // El abono del formulario de pedido se registra como primera entrada del libro
+  const addOrder = async ({ adelanto, ...data }) => {
+    // Con líneas de pedido el total sale del catálogo
+    if (data.items?.length) data = { ...data, total: lineItemsTotal(data.items) };
+    try {
+      const id = repo.newId('orders');
+      const now = new Date().toISOString();
+      queueWrite(repo.set('orders', id, {
+        ...data, centavos: true, createdAt: now, createdBy: actor(),
+        estadoDesde: now, transiciones: [{ estado: data.estado, at: now, by: actor() }]
+      }), 'pedido');
+      logActivity('create', 'orders', id, null, data);
+      if (Number(adelanto) > 0) {
+        const payment = { orderId: id, fecha: today(), monto: Number(adelanto), moneda: data.moneda, tasa: rateFor(data.moneda, money), metodo: 'Efectivo', recibo: '', nota: 'Abono inicial' };
+        const paymentId = repo.newId('payments');
+        queueWrite(repo.set('payments', paymentId, { ...payment, centavos: true, createdAt: new Date().toISOString(), createdBy: actor() }), 'abono');
+        logActivity('create', 'payments', paymentId, null, payment);
+      }
+      setIsModalOpen(null);
+    } catch (e) { console.error("Error add:", e); }
+  };
+
+  const formState = {
+    order: [orderForm, setOrderForm],
+    expense: [expenseForm, setExpenseForm],
+    inventory: [inventoryForm, setInventoryForm]
+  };
+
+  // Abre el modal vacío o, si se pasa `record`, precargado para editarlo
+  const openForm = (kind, record = null) => {
+    const empty = EMPTY_FORMS[kind]();
+    const values = record
+      ? Object.fromEntries(Object.keys(empty).map(k => [k, FORM_MONEY_FIELDS[kind].includes(k) ? fromCents(record[k]) : record[k] ?? empty[k]]))
+      : empty;
+    if (kind === 'order') values.moneda = orderCurrency(record, money);
+    formState[kind][1](values);
+    setFormErrors({});
+    setEditing(record ? { kind, record } : null);
+    setIsModalOpen(kind);
+  };
+
+  // Al cambiar la moneda del pedido las líneas se convierten con las tasas de referencia
+  const changeOrderCurrency = (moneda) => setOrderForm(f => ({
+    ...f,
+    moneda,
+    items: f.items.map(i => ({ ...i, precio: Math.round((Number(i.precio) || 0) * rateFor(f.moneda, money) / rateFor(moneda, money)) }))
+  }));
+
+  const closeModal = () => {
+    setIsModalOpen(null);
+    setEditing(null);
+    setFormErrors({});
+    setAgendaForm(f => ({ ...f, fecha: '', hora: '', nota: '' }));
+  };
+
+  const saveForm = (kind) => {
+    const [values] = formState[kind];
+    const errors = validateForm(kind, values, { editing: Boolean(editing) });
+    setFormErrors(errors);
+    if (Object.keys(errors).length) return;
+    const data = normalizeForm(kind, values);
+    if (editing) updateRecord(kind, editing.record, data);
+    else if (kind === 'order') addOrder(data);
+    else addData(FORM_COLLECTIONS[kind], data);
+  };
+
+  /**
+   * Guarda solo los campos modificados. El estado del pedido pasa por
+   * updateStatus (reglas de transición y materiales) y el stock se ajusta
+   * con un incremento relativo, igual que los botones +/-.
+   */
+  const updateRecord = (kind, record, data) => {
+    if (!can(profile, 'edit')) return;
+    const type = FORM_COLLECTIONS[kind];
+    const { adelanto, estado, ...fields } = data;
+    // Un pedido cobrado por alumno toma su total de la lista de alumnos
+    if (kind === 'order' && rosterOrderTotal(studentsByOrder[record.id] || [], record) !== null) delete fields.total;
+    const changes = Object.fromEntries(Object.entries(kind === 'order' ? fields : data)
+      .filter(([k, v]) => JSON.stringify(v ?? null) !== JSON.stringify(record[k] ?? null)));
+    if (Object.keys(changes).length) {
+      const write = { ...centsPatch(type, record), ...changes, updatedAt: new Date().toISOString(), updatedBy: actor() };
+      if (kind === 'inventory' && 'stock' in changes) {
+        write.stock = fieldOps.increment(changes.stock - (Number(record.stock) || 0));
+        recordMovement(null, record, changes.stock - (Number(record.stock) || 0), 'Corrección');
+      }
+      queueWrite(repo.update(type, record.id, write), ENTITY_LABELS[type]);
+      const before = Object.fromEntries(Object.keys(changes).map(k => [k, record[k] ?? null]));
+      const label = { orders: 'cliente', expenses: 'concepto', inventory: 'item' }[type];
+      logActivity('update', type, record.id, { [label]: record[label], ...before }, { [label]: data[label], ...changes });
+    }
+    if (kind === 'order' && estado !== record.estado) updateStatus(record.id, estado);
+    closeModal();
+  };
+
+  // Alta rápida desde el selector del pedido; devuelve el cliente creado
+  const createCustomer = async (nombre) => {
+    if (!can(profile, 'create')) return null;
+    try {
+      const data = { nombre, contacto: '', telefono: '', email: '', direccion: '', idTributario: '' };
+      const id = repo.newId('customers');
+      queueWrite(repo.set('customers', id, { ...data, createdAt: new Date().toISOString(), createdBy: actor() }), 'cliente');
+      logActivity('create', 'customers', id, null, data);
+      return { id, ...data };
+    } catch (e) {
+      console.error("Error cliente:", e);
+      return null;
+    }
+  };
+
+  const addCustomer = async () => {
+    if (!customerForm.nombre.trim()) return;
+    await addData('customers', { ...customerForm, nombre: customerForm.nombre.trim() });
+    setCustomerForm({ nombre: '', contacto: '', telefono: '', email: '', direccion: '', idTributario: '' });
+  };
+
+  const addProduct = async () => {
+    if (!productForm.nombre.trim()) return;
+    await addData('products', { ...productForm, nombre: productForm.nombre.trim(), precio: toCents(productForm.precio) });
+    setProductForm({ nombre: '', precio: 0, materiales: [] });
+  };
+
+  // La tasa del día se propone con la de referencia de los ajustes y queda guardada en el abono
+  const openPaymentModal = (orderId, studentId = '') => {
+    const moneda = orderCurrency(orders.find(o => o.id === orderId), money);
+    setPaymentOrderId(orderId);
+    setPaymentForm({ fecha: today(), monto: 0, tasa: moneda === money.moneda ? '' : money.tasas[moneda] || '', metodo: 'Efectivo', recibo: '', nota: '', studentId });
+    setIsModalOpen('payment');
+  };
+
+  const addPayment = async () => {
+    if (!paymentOrderId || !(Number(paymentForm.monto) > 0)) return;
+    const moneda = orderCurrency(orders.find(o => o.id === paymentOrderId), money);
+    if (moneda !== money.moneda && !(Number(paymentForm.tasa) > 0)) {
+      window.alert(`Indica la tasa de cambio de ${moneda} a ${money.moneda} del día del cobro.`);
+      return;
+    }
+    try {
+      const id = repo.newId('payments');
+      const payment = { ...paymentForm, monto: toCents(paymentForm.monto), moneda, tasa: rateFor(moneda, money, paymentForm.tasa), orderId: paymentOrderId, studentId: paymentForm.studentId || null };
+      queueWrite(repo.set('payments', id, { ...payment, centavos: true, createdAt: new Date().toISOString(), createdBy: actor() }), 'abono');
+      logActivity('create', 'payments', id, null, payment);
+      setPaymentForm(f => ({ ...f, fecha: today(), monto: 0, recibo: '', nota: '', studentId: '' }));
+    } catch (e) { console.error("Error pago:", e); }
+  };
+
+  // Cambios del pedido cuando su total sale de la lista de alumnos; null si no cambia
+  const rosterTotalChanges = (order, list) => {
+    const total = rosterOrderTotal(list, order);
+    if (total === null || total === order.total) return null;
+    return { ...centsPatch('orders', order), total, updatedAt: new Date().toISOString(), updatedBy: actor() };
+  };
+
+  // Recalcula el total del pedido al quitar o devolver un alumno de la lista
+  const syncRosterTotal = (orderId, list) => {
+    const order = orders.find(o => o.id === orderId);
+    const changes = order && rosterTotalChanges(order, list);
+    if (changes) queueWrite(repo.update('orders', orderId, changes), 'pedido');
+  };
+
+  /**
+   * Agrega alumnos a la lista del pedido, a mano o desde la lista de clase.
+   * Lo que cada alumno ya pagó según la planilla entra al libro de abonos a
+   * su nombre; el total del pedido se actualiza en el último lote.
+   */
+  const addStudents = (order, entries) => {
+    if (!can(profile, 'edit') || !entries.length) return;
+    const BATCH_ROWS = 100;
+    const moneda = orderCurrency(order, money);
+    const created = [];
+    for (let i = 0; i < entries.length; i += BATCH_ROWS) {
+      const batch = repo.batch();
+      const now = new Date().toISOString();
+      entries.slice(i, i + BATCH_ROWS).forEach(({ pagado, ...entry }) => {
+        const id = repo.newId('students');
+        const data = { orderId: order.id, nombre: entry.nombre.trim(), grado: (entry.grado || '').trim(), copias: Number(entry.copias) || 0, entregado: false };
+        batch.set('students', id, { ...data, createdAt: now, createdBy: actor() });
+        batch.set('activity', repo.newId('activity'), {
+          action: 'create', type: 'students', docId: id, label: describeItem('students', data),
+          before: null, after: data, by: actor(), at: now
+        });
+        if (pagado > 0) {
+          batch.set('payments', repo.newId('payments'), {
+            orderId: order.id, studentId: id, fecha: today(), monto: pagado, moneda, tasa: rateFor(moneda, money),
+            metodo: 'Efectivo', recibo: '', nota: 'Abono importado de la lista de clase', centavos: true, createdAt: now, createdBy: actor()
+          });
+        }
+        created.push({ id, ...data });
+      });
+      if (i + BATCH_ROWS >= entries.length) {
+        const changes = rosterTotalChanges(order, [...(studentsByOrder[order.id] || []), ...created]);
+        if (changes) batch.update('orders', order.id, changes);
+      }
+      queueWrite(batch.commit(), 'lista de alumnos');
+    }
+    if (entries.length > 1) setToast({ message: `${entries.length} alumnos agregados a la lista` });
+  };
+
+  const addStudent = (order) => {
+    if (!studentForm.nombre.trim() || !(Number(studentForm.copias) >= 0)) return;
+    addStudents(order, [studentForm]);
+    // El grado se conserva para cargar seguido a los alumnos de una misma sección
+    setStudentForm(f => ({ ...f, nombre: '', copias: 1 }));
+  };
+
+  const updateStudent = (student, changes) => {
+    if (!can(profile, 'edit')) return;
+    const order = orders.find(o => o.id === student.orderId);
+    const batch = repo.batch();
+    batch.update('students', student.id, { ...changes, updatedAt: new Date().toISOString(), updatedBy: actor() });
+    const orderChanges = order && rosterTotalChanges(order, (studentsByOrder[order.id] || []).map(s => (s.id === student.id ? { ...s, ...changes } : s)));
+    if (orderChanges) batch.update('orders', order.id, orderChanges);
+    queueWrite(batch.commit(), 'alumno');
+    const before = Object.fromEntries(Object.keys(changes).map(k => [k, student[k] ?? null]));
+    logActivity('update', 'students', student.id, { nombre: student.nombre, ...before }, { nombre: student.nombre, ...changes });
+  };
+
+  // Entrega de la copia de un alumno; producción también la marca el día de la entrega
+  const toggleDelivered = (student) => {
+    if (!can(profile, 'deliverCopies')) return;
+    const now = new Date().toISOString();
+    const changes = student.entregado
+      ? { entregado: false, entregadoAt: null, entregadoBy: null }
+      : { entregado: true, entregadoAt: now, entregadoBy: actor() };
+    queueWrite(repo.update('students', student.id, { ...changes, updatedAt: now, updatedBy: actor() }), 'entrega');
+    logActivity('update', 'students', student.id, { nombre: student.nombre, entregado: Boolean(student.entregado) }, { nombre: student.nombre, entregado: changes.entregado });
+  };
+
+  // Precio por alumno en la moneda del pedido; con lista, el total pasa a ser la suma de la lista
+  const setRosterPrice = (order, value) => {
+    if (!can(profile, 'edit')) return;
+    const precioAlumno = toCents(value);
+    if (precioAlumno === (Number(order.precioAlumno) || 0)) return;
+    const total = rosterOrderTotal(studentsByOrder[order.id] || [], { ...order, precioAlumno });
+    const changes = { precioAlumno, ...(total !== null && { total }) };
+    queueWrite(repo.update('orders', order.id, {
+      ...centsPatch('orders', order), ...changes, updatedAt: new Date().toISOString(), updatedBy: actor()
+    }), 'pedido');
+    logActivity('update', 'orders', order.id, { cliente: order.cliente, precioAlumno: order.precioAlumno ?? null, total: order.total }, { cliente: order.cliente, total: order.total, ...changes });
+  };
+
+  /**
+   * Cambia el estado de un pedido. Al entrar en 'En Impresión' se descuentan
+   * del inventario los materiales del pedido (quedan anotados en `consumo`);
+   * si el pedido vuelve a un estado anterior se devuelven al stock.
+   * Cada transición queda registrada en `transiciones` para medir el tiempo por etapa.
+   */
+  const updateStatus = async (id, newStatus, { undo = false } = {}) => {
+    if (!can(profile, 'updateStatus')) return;
+    const order = orders.find(o => o.id === id);
+    if (!order || order.estado === newStatus) return;
+    // Deshacer devuelve el pedido a un estado en el que ya estuvo
+    const blocked = !undo && validateTransition(order, newStatus, orderBalance(order, paymentsByOrder), money);
+    if (blocked) {
+      window.alert(blocked);
+      return;
+    }
+    const { movements, consumo, shortages, belowMin } = planConsumption(order, newStatus, products, inventory);
+    if (shortages.length) {
+      window.alert(`No hay material suficiente para imprimir:\n${shortages.join('\n')}`);
+      return;
+    }
+    if (belowMin.length && !window.confirm(`El stock quedará por debajo del mínimo:\n${belowMin.join('\n')}\n\n¿Continuar?`)) return;
+
+    const batch = repo.batch();
+    const now = new Date().toISOString();
+    const changes = {
+      estado: newStatus, estadoDesde: now, transiciones: fieldOps.arrayUnion({ estado: newStatus, at: now, by: actor() }),
+      updatedAt: now, updatedBy: actor()
+    };
+    if (consumo !== undefined) changes.consumo = consumo;
+
+    batch.update('orders', id, changes);
+    Object.entries(movements).forEach(([invId, qty]) => {
+      const item = inventory.find(i => i.id === invId);
+      if (!item) return;
+      batch.update('inventory', invId, {
+        stock: fieldOps.increment(qty), updatedAt: new Date().toISOString(), updatedBy: actor()
+      });
+      recordMovement(batch, item, qty, qty < 0 ? 'Consumo de pedido' : 'Devolución de pedido', { orderId: id, nota: order.cliente });
+    });
+    queueWrite(batch.commit(), 'estado');
+
+    logActivity('update', 'orders', id, { cliente: order.cliente, estado: order.estado }, { cliente: order.cliente, estado: newStatus });
+    Object.entries(movements).forEach(([invId, qty]) => {
+      const item = inventory.find(i => i.id === invId);
+      if (item) logActivity('update', 'inventory', invId, { item: item.item, stock: item.stock }, { item: item.item, stock: item.stock + qty });
+    });
+    if (!undo) {
+      setToast({
+        message: `${order.cliente}: ${order.estado} → ${newStatus}`,
+        undo: () => updateStatus(id, order.estado, { undo: true })
+      });
+      if (notificationSettings.plantillas[newStatus]?.activo) notifyOrder({ ...order, estado: newStatus }, newStatus);
+    }
+  };
+
+  /**
+   * Envía al cliente del pedido el aviso de la plantilla `evento` (un estado o
+   * el recordatorio de saldo) con el proveedor configurado y lo registra en
+   * `notifications`. Con un proveedor manual (WhatsApp) el mensaje pasa a la
+   * bandeja `outbox` y solo se registra cuando alguien abre el chat desde ahí.
+   */
+  const notifyOrder = (order, evento) => {
+    if (!can(profile, 'updateStatus')) return;
+    const plantilla = notificationSettings.plantillas[evento];
+    const provider = NOTIFICATION_PROVIDERS[notificationSettings.proveedor] || NOTIFICATION_PROVIDERS.mock;
+    const customer = customers.find(c => c.id === order.customerId);
+    const saldo = orderBalance(order, paymentsByOrder);
+    const vars = notificationVars(order, customer, saldo, studio);
+    const to = provider.contacto ? (customer?.[provider.contacto] || '').trim() : (customer?.email || customer?.telefono || '');
+    const message = { to, asunto: renderTemplate(plantilla.asunto, vars), cuerpo: renderTemplate(plantilla.cuerpo, vars) };
+    const log = (result) => logNotification(order, evento, message, result);
+    if (provider.contacto && !to) {
+      log({ estado: 'error', detalle: `El cliente no tiene ${provider.contacto === 'email' ? 'correo' : 'teléfono'} registrado` });
+      return;
+    }
+    if (provider.manual) {
+      const key = `${order.id}|${evento}`;
+      setOutbox(list => [...list.filter(m => m.key !== key), { key, order, evento, message, url: provider.link(message) }]);
+      return;
+    }
+    provider.send(message, notificationSettings).then(log, e => log({ estado: 'error', detalle: e.message }));
+  };
+
+  const logNotification = (order, evento, message, result) => {
+    const now = new Date().toISOString();
+    queueWrite(repo.set('notifications', repo.newId('notifications'), {
+      orderId: order.id, evento, proveedor: notificationSettings.proveedor, ...message, ...result,
+      at: now, createdAt: now, createdBy: actor()
+    }), 'aviso');
+    if (result.estado === 'error') setToast({ message: `Aviso a ${order.cliente} no enviado: ${result.detalle}` });
+  };
+
+  // El enlace lo abre el clic de la persona; que el mensaje salió solo lo sabe ella
+  const openOutboxItem = (item) => {
+    logNotification(item.order, item.evento, item.message, { estado: 'pendiente', detalle: 'Chat de WhatsApp abierto; falta confirmar el envío' });
+    setOutbox(list => list.filter(m => m.key !== item.key));
+  };
+
+  const confirmNotification = (n, sent) => {
+    if (!can(profile, 'updateStatus')) return;
+    queueWrite(repo.update('notifications', n.id, {
+      estado: sent ? 'enviado' : 'error', detalle: sent ? 'Envío confirmado' : 'No se envió',
+      updatedAt: new Date().toISOString(), updatedBy: actor()
+    }), 'aviso');
+  };
+
+  // Recordatorio de saldo a todos los pedidos con deuda que no recibieron uno en los últimos días
+  const sendReminders = (list) => {
+    const last = lastReminders(notifications);
+    const since = new Date(Date.now() - (Number(notificationSettings.diasRecordatorio) || 7) * DAY_MS).toISOString();
+    const due = list.filter(o => !last[o.id] || last[o.id] < since);
+    if (!due.length) {
+      setToast({ message: 'No hay recordatorios pendientes.' });
+      return;
+    }
+    const manual = (NOTIFICATION_PROVIDERS[notificationSettings.proveedor] || NOTIFICATION_PROVIDERS.mock).manual;
+    if (!window.confirm(manual
+      ? `¿Preparar el recordatorio de saldo de ${due.length} pedidos? Cada chat se abre desde la bandeja de avisos.`
+      : `¿Enviar recordatorio de saldo a ${due.length} pedidos?`)) return;
+    due.forEach(o => notifyOrder(o, REMINDER_EVENT));
+  };
+
+  // Fecha comprometida y responsable de cada tarjeta del tablero
+  const updateOrderPlanning = async (order, changes) => {
+    if (!can(profile, 'edit')) return;
+    queueWrite(repo.update('orders', order.id, { ...changes, updatedAt: new Date().toISOString(), updatedBy: actor() }), 'pedido');
+    const before = Object.fromEntries(Object.keys(changes).map(k => [k, order[k] ?? null]));
+    logActivity('update', 'orders', order.id, { cliente: order.cliente, ...before }, { cliente: order.cliente, ...changes });
+  };
+
+  const addAgendaEvent = (order) => {
+    if (!agendaForm.fecha || !EVENT_TYPES[agendaForm.tipo]) return;
+    const event = { ...agendaForm, nota: agendaForm.nota.trim(), id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, hecho: false };
+    updateOrderPlanning(order, { agenda: [...(order.agenda || []), event] });
+    setAgendaForm(f => ({ ...f, fecha: '', hora: '', nota: '' }));
+  };
+
+  const updateAgendaEvent = (order, id, changes) => {
+    updateOrderPlanning(order, { agenda: (order.agenda || []).map(e => (e.id === id ? { ...e, ...changes } : e)) });
+  };
+
+  const removeAgendaEvent = (order, id) => {
+    updateOrderPlanning(order, { agenda: (order.agenda || []).filter(e => e.id !== id) });
+  };
+
+  // Descarga la agenda en formato .ics para importarla en el calendario del teléfono;
+  // es una copia del momento, no un enlace de suscripción que se actualice solo
+  const exportCalendar = () => {
+    const name = `Agenda ${workspaceLabel(activeWorkspace)}`;
+    const url = URL.createObjectURL(new Blob([buildIcs(visibleEvents, { name, uidDomain: appId })], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `agenda-${activeWorkspace.id}${calendarMine ? '-mia' : ''}.ics`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Incremento relativo: los ajustes hechos en varios equipos sin conexión se suman en lugar de pisarse
+  const updateStock = async (item, delta, motivo = STOCK_REASONS[0], nota = '') => {
+    if (!can(profile, 'updateStock') || !delta || item.stock + delta < 0) return;
+    const stock = item.stock + delta;
+    const batch = repo.batch();
+    batch.update('inventory', item.id, { stock: fieldOps.increment(delta), updatedAt: new Date().toISOString(), updatedBy: actor() });
+    recordMovement(batch, item, delta, motivo, { nota });
+    queueWrite(batch.commit(), 'stock');
+    logActivity('update', 'inventory', item.id, { item: item.item, stock: item.stock }, { item: item.item, stock });
+  };
+
+  const addSupplier = async () => {
+    if (!supplierForm.nombre.trim()) return;
+    await addData('suppliers', { ...supplierForm, nombre: supplierForm.nombre.trim() });
+    setSupplierForm({ nombre: '', contacto: '', telefono: '', email: '' });
+  };
+
+  // Una orden de compra pendiente por proveedor con los artículos bajo el mínimo
+  const generatePurchaseOrders = () => {
+    if (!can(profile, 'create')) return;
+    const drafts = draftPurchaseOrders(inventory, purchaseOrders, suppliers);
+    if (!drafts.length) {
+      setToast({ message: 'No hay artículos por reponer.' });
+      return;
+    }
+    drafts.forEach(draft => addData('purchaseOrders', { ...draft, estado: 'Pendiente', fecha: today(), total: purchaseTotal(draft.lineas) }));
+    setToast({ message: `${drafts.length} órdenes de compra generadas` });
+  };
+
+  const updatePurchaseLine = (po, index, changes) => {
+    if (!can(profile, 'edit') || po.estado !== 'Pendiente') return;
+    const lineas = po.lineas.map((l, i) => (i === index ? { ...l, ...changes } : l));
+    queueWrite(repo.update('purchaseOrders', po.id, {
+      ...centsPatch('purchaseOrders', po), lineas, total: purchaseTotal(lineas), updatedAt: new Date().toISOString(), updatedBy: actor()
+    }), 'orden de compra');
+  };
+
+  /**
+   * Recibe una orden de compra en un solo lote: suma al stock lo comprado
+   * (con su movimiento), actualiza el costo unitario de cada artículo y crea
+   * el gasto correspondiente. Como escribe en gastos, es tarea de administración.
+   */
+  const receivePurchaseOrder = (po) => {
+    if (!can(profile, 'viewFinance') || po.estado !== 'Pendiente') return;
+    const now = new Date().toISOString();
+    const total = purchaseTotal(po.lineas);
+    const batch = repo.batch();
+    const expenseId = repo.newId('expenses');
+    const expense = { concepto: `Compra a ${po.proveedor}`, monto: total, fecha: today(), categoria: 'Materiales', orderId: null, purchaseOrderId: po.id };
+    batch.set('expenses', expenseId, { ...expense, centavos: true, createdAt: now, createdBy: actor() });
+    batch.update('purchaseOrders', po.id, {
+      ...centsPatch('purchaseOrders', po), estado: 'Recibida', recibidaAt: now, total, expenseId, updatedAt: now, updatedBy: actor()
+    });
+    const received = po.lineas.map(l => ({ line: l, item: inventory.find(i => i.id === l.inventoryId) })).filter(r => r.item && Number(r.line.cantidad) > 0);
+    received.forEach(({ line, item }) => {
+      batch.update('inventory', item.id, {
+        ...centsPatch('inventory', item), stock: fieldOps.increment(Number(line.cantidad)), costo: Number(line.costo) || Number(item.costo) || 0, updatedAt: now, updatedBy: actor()
+      });
+      recordMovement(batch, item, Number(line.cantidad), 'Compra', { purchaseOrderId: po.id, nota: po.proveedor });
+    });
+    queueWrite(batch.commit(), 'recepción');
+
+    logActivity('update', 'purchaseOrders', po.id, { proveedor: po.proveedor, estado: po.estado }, { proveedor: po.proveedor, estado: 'Recibida' });
+    logActivity('create', 'expenses', expenseId, null, expense);
+    received.forEach(({ line, item }) => {
+      logActivity('update', 'inventory', item.id, { item: item.item, stock: item.stock }, { item: item.item, stock: item.stock + Number(line.cantidad) });
+    });
+    setToast({ message: `Compra a ${po.proveedor} recibida · gasto de ${fmt(total)} registrado` });
+  };
+
+  const openStockModal = (itemId) => {
+    setStockItemId(itemId);
+    setStockForm({ delta: '', motivo: STOCK_REASONS[0], nota: '' });
+    setIsModalOpen('stock');
+  };
+
+  const updateStaffRole = async (id, rol) => {
+    if (!can(profile, 'manageStaff')) return;
+    queueWrite(sharedRepo.update('staff', id, { rol: rol || null, updatedAt: new Date().toISOString(), updatedBy: actor() }), 'rol');
+  };
+
+  // Eliminación lógica: el documento pasa a la papelera y se puede restaurar
+  const deleteItem = async (type, id) => {
+    if (!can(profile, 'delete')) return;
+    const lists = { orders, expenses, inventory, payments, products, customers, suppliers, purchaseOrders, students };
+    const item = (lists[type] || []).find(d => d.id === id);
+    queueWrite(repo.update(type, id, { deletedAt: new Date().toISOString(), deletedBy: actor(), updatedAt: new Date().toISOString(), updatedBy: actor() }), 'eliminar');
+    logActivity('delete', type, id, item, null);
+    if (type === 'students' && item) syncRosterTotal(item.orderId, (studentsByOrder[item.orderId] || []).filter(s => s.id !== id));
+    setToast({
+      message: `${ENTITY_LABELS[type]} eliminado: ${describeItem(type, item)}`,
+      undo: () => restoreItem(type, id, item)
+    });
+  };
+
+  const restoreItem = async (type, id, item = (bin[type] || []).find(d => d.id === id)) => {
+    if (!can(profile, 'delete')) return;
+    queueWrite(repo.update(type, id, { deletedAt: null, deletedBy: null, updatedAt: new Date().toISOString(), updatedBy: actor() }), 'restaurar');
+    logActivity('restore', type, id, null, item || {});
+    if (type === 'students' && item) syncRosterTotal(item.orderId, [...(studentsByOrder[item.orderId] || []), item]);
+  };
+
+  // Borrado definitivo desde la papelera; los abonos y la lista de alumnos de un pedido se eliminan con él
+  const purgeItem = async (type, id) => {
+    if (!can(profile, 'delete')) return;
+    const item = (bin[type] || []).find(d => d.id === id);
+    if (!window.confirm(`¿Eliminar definitivamente "${describeItem(type, item)}"? Esta acción no se puede deshacer.`)) return;
+    queueWrite(repo.remove(type, id), 'eliminar');
+    logActivity('purge', type, id, item, null);
+    if (type === 'orders') {
+      const related = [...payments, ...bin.payments].filter(p => p.orderId === id);
+      related.forEach(p => queueWrite(repo.remove('payments', p.id), 'eliminar'));
+      [...students, ...bin.students].filter(s => s.orderId === id).forEach(s => queueWrite(repo.remove('students', s.id), 'eliminar'));
+    }
+  };
+
+  const saveStudio = async (data) => {
+    if (!can(profile, 'manageStaff')) return;
+    if (profile.readOnly) {
+      setToast({ message: 'La temporada está cerrada: sus datos son de solo lectura.' });
+      return;
+    }
+    const now = new Date().toISOString();
+    queueWrite(repo.set('settings', 'studio', { ...data, createdAt: studio.createdAt || now, createdBy: studio.createdBy || actor(), updatedAt: now, updatedBy: actor() }), 'ajustes');
+    setToast({ message: 'Datos del estudio guardados' });
+  };
+
+  /**
+   * Descarga un documento del pedido. La numeración es correlativa por tipo
+   * (contador en `counters/{tipo}`) y el número queda guardado en el pedido o
+   * en el abono, así que volver a descargarlo conserva el mismo número.
+   */
+  const downloadDocument = async (kind, order, payment = null) => {
+    if (!can(profile, 'create')) return;
+    try {
+      let number = kind === 'receipt' ? payment.comprobante : order.documentos?.[kind];
+      if (!number) {
+        const [targetType, targetId] = kind === 'receipt' ? ['payments', payment.id] : ['orders', order.id];
+        number = await repo.transaction(async (tx) => {
+          const counter = await tx.get('counters', kind);
+          const next = (Number(counter?.ultimo) || 0) + 1;
+          const now = new Date().toISOString();
+          tx.set('counters', kind, { ultimo: next, createdBy: counter?.createdBy || actor(), updatedAt: now, updatedBy: actor() });
+          const value = formatDocNumber(kind, next);
+          tx.update(targetType, targetId, kind === 'receipt'
+            ? { comprobante: value, updatedAt: now, updatedBy: actor() }
+            : { [`documentos.${kind}`]: value, updatedAt: now, updatedBy: actor() });
+          return value;
+        });
+        logActivity('update', targetType, targetId,
+          null, { ...(kind === 'receipt' ? payment : { cliente: order.cliente }), documento: number });
       }
-    };
-    initAuth();
-    const unsubscribe = onAuthStateChanged(auth, setUser);
-    return () => unsubscribe();
-  }, []);
+      const customer = customers.find(c => c.id === order.customerId);
+      const ledger = paymentsByOrder[order.id] || [];
+      const position = kind === 'receipt' ? ledger.findIndex(p => p.id === payment.id) : -1;
+      // Pagado acumulado hasta este abono inclusive, según su posición en el libro
+      const paid = position >= 0 ? sumPayments(ledger.slice(0, position + 1)) : 0;
+      createDocumentPdf({ kind, number, studio, order, customer, payment, paid }).save(`${number}.pdf`);
+    } catch (e) {
+      console.error("Error documento:", e);
+      window.alert(online ? 'No se pudo generar el documento.' : 'La numeración de documentos requiere conexión. Intenta cuando vuelva la señal.');
+    }
+  };
 
-  // 3. Datos en tiempo real
-  useEffect(() => {
-    if (!user || !db) return;
+  // Exporta una colección filtrada por fecha a CSV o XLSX con las mismas columnas que acepta la importación
+  const exportRecords = (type, bookType) => {
+    const lists = { orders, expenses, inventory };
+    const rows = lists[type]
+      .filter(d => {
+        const fecha = recordDate(type, d);
+        return (!exportRange.desde || fecha >= exportRange.desde) && (!exportRange.hasta || fecha <= exportRange.hasta);
+      })
+      .map(d => {
+        const row = {};
+        DATA_FIELDS[type].forEach(f => {
+          if (f.key === 'fecha') row[f.label] = recordDate(type, d);
+          else if (f.key === 'moneda') row[f.label] = orderCurrency(d, money);
+          else row[f.label] = f.type === 'money' ? fromCents(d[f.key]) : (d[f.key] ?? '');
+        });
+        if (type === 'orders') {
+          const pagado = sumPayments(paymentsByOrder[d.id]);
+          row['Abono'] = fromCents(pagado);
+          row['Saldo'] = fromCents((Number(d.total) || 0) - pagado);
+        }
+        return row;
+      });
+    const range = [exportRange.desde, exportRange.hasta].filter(Boolean).join('_a_');
+    downloadSheet(rows, `${type}${range ? `_${range}` : ''}.${bookType}`, bookType);
+  };
 
-    const paths = {
-      orders: collection(db, 'artifacts', appId, 'public', 'data', 'orders'),
-      expenses: collection(db, 'artifacts', appId, 'public', 'data', 'expenses'),
-      inventory: collection(db, 'artifacts', appId, 'public', 'data', 'inventory')
-    };
+  /**
+   * Escribe los registros importados en lotes (cada lote incluye las entradas
+   * del historial). En pedidos, el abono se registra en el libro de pagos y el
+   * cliente se vincula si ya existe en el directorio.
+   */
+  const importRecords = async (type, records) => {
+    if (!can(profile, 'create')) return;
+    const BATCH_ROWS = 100;
+    try {
+      for (let i = 0; i < records.length; i += BATCH_ROWS) {
+        const batch = repo.batch();
+        records.slice(i, i + BATCH_ROWS).forEach(record => {
+          const now = new Date().toISOString();
+          let { fecha, adelanto, ...data } = record;
+          if (type === 'expenses') data.fecha = fecha;
+          if (type === 'inventory') data.minimo = data.minimo ?? 5;
+          const createdAt = type === 'orders' && fecha ? new Date(`${fecha}T12:00:00`).toISOString() : now;
+          if (type === 'orders') {
+            const customer = customers.find(c => normalizeName(c.nombre) === normalizeName(data.cliente));
+            data = {
+              descripcion: '', estado: 'Pendiente', items: [], ...data, moneda: data.moneda || money.moneda, customerId: customer?.id || null,
+              estadoDesde: createdAt, transiciones: [{ estado: data.estado || 'Pendiente', at: createdAt, by: actor() }]
+            };
+          }
+          const id = repo.newId(type);
+          batch.set(type, id, { ...data, centavos: true, createdAt, createdBy: actor(), importado: true });
+          batch.set('activity', repo.newId('activity'), {
+            action: 'create', type, docId: id, label: describeItem(type, data),
+            before: null, after: stripMeta(data), by: actor(), at: now
+          });
+          if (type === 'orders' && adelanto > 0) {
+            batch.set('payments', repo.newId('payments'), {
+              orderId: id, fecha: fecha || today(), monto: adelanto, moneda: data.moneda, tasa: rateFor(data.moneda, money),
+              metodo: 'Efectivo', recibo: '', nota: 'Abono importado', centavos: true, createdAt: now, createdBy: actor()
+            });
+          }
+        });
+        queueWrite(batch.commit(), 'importación');
+      }
+      setToast({ message: `${records.length} registros importados en ${DATA_LABELS[type]}` });
+    } catch (e) {
+      console.error("Error importación:", e);
+      window.alert('La importación se detuvo por un error. Revisa el historial para ver qué registros se guardaron.');
+    }
+  };
 
-    const unsubOrders = onSnapshot(paths.orders, (snapshot) => {
-      setOrders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-    }, (err) => console.error("Error pedidos:", err));
+  // Deja en el pedido el valor elegido y marca el conflicto como revisado
+  const resolveConflict = (conflict, value) => {
+    if (!can(profile, 'edit')) return;
+    const order = orders.find(o => o.id === conflict.docId);
+    if (!order) return;
+    // El estado pasa por updateStatus para mover también los materiales
+    if (conflict.field === 'estado' && value !== undefined && value !== order.estado) {
+      updateStatus(order.id, value, { undo: true });
+      value = undefined;
+    }
+    const changes = value === undefined ? {} : { [conflict.field]: value };
+    queueWrite(repo.update('orders', order.id, {
+      ...changes, conflictosResueltos: fieldOps.arrayUnion(conflict.id), updatedAt: new Date().toISOString(), updatedBy: actor()
+    }), 'conflicto');
+    if (value !== undefined && !sameValue(value, order[conflict.field])) {
+      logActivity('update', 'orders', order.id, { cliente: order.cliente, [conflict.field]: order[conflict.field] }, { cliente: order.cliente, ...changes });
+    }
+  };
 
-    const unsubExpenses = onSnapshot(paths.expenses, (snapshot) => {
-      setExpenses(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-    }, (err) => console.error("Error finanzas:", err));
+  // Documentos (también en la papelera) que aún guardan los importes en unidades; ver withCents
+  const legacyAmountDocs = Object.entries({ orders, payments, expenses, inventory, products, purchaseOrders })
+    .flatMap(([type, list]) => [...list, ...(bin[type] || [])].filter(d => d.legacyAmounts).map(d => [type, d]));
 
-    const unsubInventory = onSnapshot(paths.inventory, (snapshot) => {
-      setInventory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
-    }, (err) => console.error("Error inventario:", err));
+  const migrateAmounts = () => {
+    if (!can(profile, 'manageStaff') || profile.readOnly) return;
+    const now = new Date().toISOString();
+    for (let i = 0; i < legacyAmountDocs.length; i += 400) {
+      const batch = repo.batch();
+      legacyAmountDocs.slice(i, i + 400).forEach(([type, d]) => batch.update(type, d.id, { ...centsPatch(type, d), updatedAt: now, updatedBy: actor() }));
+      queueWrite(batch.commit(), 'importes');
+    }
+    setToast({ message: `${legacyAmountDocs.length} documentos convertidos a centavos` });
+  };
 
-    return () => {
-      unsubOrders();
-      unsubExpenses();
-      unsubInventory();
-    };
-  }, [user]);
+  const saveNotificationSettings = async (data) => {
+    if (!can(profile, 'manageStaff')) return;
+    if (profile.readOnly) {
+      setToast({ message: 'La temporada está cerrada: sus datos son de solo lectura.' });
+      return;
+    }
+    const now = new Date().toISOString();
+    queueWrite(repo.set('settings', 'notifications', { ...data, updatedAt: now, updatedBy: actor(), createdBy: data.createdBy || actor() }), 'avisos');
+    setToast({ message: 'Avisos guardados' });
+  };
 
-  const addData = async (type, data) => {
+  const addWorkspace = async () => {
+    if (!can(profile, 'manageWorkspaces') || !workspaceForm.sede.trim() || !workspaceForm.temporada.trim()) return;
+    queueWrite(sharedRepo.set('workspaces', sharedRepo.newId('workspaces'), {
+      sede: workspaceForm.sede.trim(), temporada: workspaceForm.temporada.trim(), estado: 'abierta',
+      createdAt: new Date().toISOString(), createdBy: actor()
+    }), 'espacio');
+    setWorkspaceForm({ sede: '', temporada: today().slice(0, 4) });
+  };
+
+  /**
+   * Cierra la temporada de un espacio y la deja en solo lectura. Al espacio
+   * siguiente pasan los clientes, los proveedores, el catálogo, el inventario con su stock
+   * actual y un pedido por cada saldo pendiente; se conservan los ids para
+   * que las referencias entre documentos sigan siendo válidas.
+   */
+  const closeSeason = async ({ source, targetId, sede, temporada, saldos, inventario }) => {
+    if (!can(profile, 'manageWorkspaces')) return;
+    const blocked = validateSeasonClose(source, targetId && workspaces.find(w => w.id === targetId));
+    if (blocked) {
+      setToast({ message: blocked });
+      return;
+    }
     try {
-      const col = collection(db, 'artifacts', appId, 'public', 'data', type);
-      await addDoc(col, { ...data, createdAt: new Date().toISOString() });
+      const read = async (type) => splitDeleted((await getRepository(source.id).list(type)).map(d => withCents(type, d)))[0];
+      const [srcOrders, srcPayments, srcInventory, srcCustomers, srcProducts, srcSuppliers] = await Promise.all(
+        ['orders', 'payments', 'inventory', 'customers', 'products', 'suppliers'].map(read)
+      );
+      const now = new Date().toISOString();
+      const nextId = targetId || sharedRepo.newId('workspaces');
+      if (!targetId) {
+        await sharedRepo.set('workspaces', nextId, { sede, temporada, estado: 'abierta', origen: source.id, createdAt: now, createdBy: actor() });
+      }
+
+      const stamp = { arrastre: source.id, createdAt: now, createdBy: actor(), updatedAt: now, updatedBy: actor() };
+      const writes = [
+        ...srcCustomers.map(c => ['customers', c.id, { ...stripMeta(c), ...stamp }]),
+        ...srcProducts.map(p => ['products', p.id, { ...stripMeta(p), ...stamp }]),
+        ...srcSuppliers.map(p => ['suppliers', p.id, { ...stripMeta(p), ...stamp }]),
+        ...carryOverRecords(source, { orders: srcOrders, payments: srcPayments, inventory: srcInventory }, { saldos, inventario, stamp })
+      ];
+      // Un lote de Firestore admite hasta 500 escrituras
+      for (let i = 0; i < writes.length; i += 400) {
+        const batch = getRepository(nextId).batch();
+        writes.slice(i, i + 400).forEach(([type, id, data]) => batch.set(type, id, data));
+        await batch.commit();
+      }
+
+      await sharedRepo.set('workspaces', source.id, {
+        sede: source.sede, temporada: source.temporada || '', estado: 'cerrada',
+        cerradaAt: now, cerradaPor: actor(), siguiente: nextId
+      }, { merge: true });
+      setClosingWorkspace(null);
       setIsModalOpen(null);
-    } catch (e) { console.error("Error add:", e); }
+      setToast({ message: `${workspaceLabel(source)} cerrada · ${writes.length} registros trasladados` });
+    } catch (e) {
+      console.error("Error cierre:", e);
+      setToast({ message: 'No se pudo cerrar la temporada. Se necesita conexión con el servidor.' });
+    }
   };
 
-  const updateStatus = async (id, newStatus) => {
-    const docRef = doc(db, 'artifacts', appId, 'public', 'data', 'orders', id);
-    await updateDoc(docRef, { estado: newStatus });
+  const reopenSeason = (ws) => {
+    if (!can(profile, 'manageWorkspaces') || !window.confirm(`¿Reabrir ${workspaceLabel(ws)} para editar sus datos?`)) return;
+    queueWrite(sharedRepo.set('workspaces', ws.id, { sede: ws.sede, temporada: ws.temporada || '', estado: 'abierta', cerradaAt: null, cerradaPor: null }, { merge: true }), 'espacio');
   };
 
-  const deleteItem = async (type, id) => {
-    const docRef = doc(db, 'artifacts', appId, 'public', 'data', type, id);
-    await deleteDoc(docRef);
+  // Resumen de todas las sedes y temporadas para administración
+  const loadWorkspaceSummary = async () => {
+    if (!can(profile, 'manageWorkspaces')) return;
+    try {
+      const entries = await Promise.all(workspaces.map(async (ws) => {
+        const read = async (type) => splitDeleted((await getRepository(ws.id).list(type)).map(d => withCents(type, d)))[0];
+        const [o, p, e] = await Promise.all(['orders', 'payments', 'expenses'].map(read));
+        return [ws.id, workspaceTotals(o, p, e, money)];
+      }));
+      setWorkspaceSummary(Object.fromEntries(entries));
+    } catch (e) {
+      console.error("Error resumen:", e);
+      setToast({ message: 'No se pudo cargar el resumen de sedes.' });
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'workspaces') loadWorkspaceSummary();
+  }, [activeTab, workspaceDocs.length]);
+
+  const showHistory = (type, docId) => {
+    setHistoryFilter({ type, docId });
+    setActiveTab('history');
   };
 
-  const stats = useMemo(() => {
-    const totalVentas = orders.reduce((sum, o) => sum + (Number(o.total) || 0), 0);
-    const totalRecaudado = orders.reduce((sum, o) => sum + (Number(o.adelanto) || 0), 0);
-    const totalGastos = expenses.reduce((sum, e) => sum + (Number(e.monto) || 0), 0);
-    const pedidosPendientes = orders.filter(o => o.estado !== 'Entregado').length;
-    return { totalVentas, totalRecaudado, totalGastos, pedidosPendientes, balance: totalRecaudado - totalGastos };
-  }, [orders, expenses]);
+  const paymentsByOrder = useMemo(() => groupPaymentsByOrder(orders, payments), [orders, payments]);
+  const studentsByOrder = useMemo(() => students.reduce((acc, s) => {
+    (acc[s.orderId] = acc[s.orderId] || []).push(s);
+    return acc;
+  }, {}), [students]);
 
-  if (!user) return (
+  // Conflictos de edición aún no revisados sobre pedidos existentes
+  const conflicts = useMemo(() => pendingConflicts(activity, orders), [activity, orders]);
+
+  const pendingCount = Object.values(pendingWrites).reduce((sum, n) => sum + n, 0);
+
+  // Material comprometido por pedidos que aún no llegan a impresión
+  const reserved = useMemo(() => {
+    const totals = {};
+    orders.filter(o => !isConsumingState(o.estado)).forEach(o => {
+      Object.entries(orderMaterials(o, products)).forEach(([invId, qty]) => {
+        totals[invId] = (totals[invId] || 0) + qty;
+      });
+    });
+    return totals;
+  }, [orders, products]);
+
+  const stats = useMemo(() => computeStats(orders, expenses, paymentsByOrder, money), [orders, expenses, paymentsByOrder, studio]);
+  const events = useMemo(() => orderEvents(orders), [orders]);
+  const overdueEvents = events.filter(e => isOverdue(e));
+  const nextWeek = shiftCalendar(today(), 'week', 1);
+  const upcomingEvents = [...overdueEvents, ...events.filter(e => !e.done && e.fecha >= today() && e.fecha <= nextWeek)].slice(0, 8);
+  // Con "Solo mis pedidos" la agenda y el .ics se limitan a los pedidos asignados a quien los consulta
+  const visibleEvents = calendarMine ? events.filter(e => e.asignado === user?.uid) : events;
+
+  if (!authReady || (user && !profile)) return (
     <div className="flex h-screen items-center justify-center bg-slate-50">
       <div className="text-center">
         <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin mx-auto mb-4"></div>
         <p className="text-blue-600 font-medium animate-pulse">Cargando aplicación...</p>
+        {!online && (
+          <p className="text-xs text-slate-500 mt-4 max-w-xs">
+            Sin conexión. Si ya usaste la app en este equipo se abrirá con los datos guardados; si no, se cargará al recuperar la señal.
+          </p>
+        )}
       </div>
     </div>
   );
 
+  if (!user) return <LoginScreen />;
+
+  if (!profile.rol) return (
+    <div className="flex h-screen items-center justify-center bg-slate-50 p-4">
+      <Card className="max-w-sm p-8 text-center">
+        <Lock size={40} className="text-slate-400 mx-auto mb-4" />
+        <h1 className="text-lg font-bold">Cuenta pendiente de aprobación</h1>
+        <p className="text-sm text-slate-500 mt-2">
+          {user.email} aún no tiene un rol asignado. Pide a un administrador que te habilite desde la sección Equipo.
+        </p>
+        <Button variant="secondary" className="w-full mt-6" icon={LogOut} onClick={logout}>Cerrar sesión</Button>
+      </Card>
+    </div>
+  );
+
+  const tabs = [
+    { id: 'dashboard', label: 'Tablero', title: 'Resumen', icon: LayoutDashboard },
+    { id: 'orders', label: 'Pedidos', title: 'Pedidos', icon: ShoppingBag },
+    { id: 'board', label: 'Producción', title: 'Tablero de producción', icon: KanbanSquare },
+    { id: 'calendar', label: 'Agenda', title: 'Agenda de sesiones y entregas', icon: CalendarDays },
+    { id: 'customers', label: 'Clientes', title: 'Clientes', icon: School },
+    { id: 'finance', label: 'Finanzas', title: 'Caja', icon: DollarSign, action: 'viewFinance' },
+    { id: 'reports', label: 'Reportes', title: 'Reportes financieros', icon: BarChart3, action: 'viewFinance' },
+    { id: 'inventory', label: 'Inventario', title: 'Inventario', icon: Package },
+    { id: 'purchases', label: 'Compras', title: 'Compras y proveedores', icon: ShoppingCart, action: 'create' },
+    { id: 'catalog', label: 'Catálogo', title: 'Catálogo de productos', icon: Layers },
+    { id: 'data', label: 'Planillas', title: 'Importar / Exportar', icon: FolderInput, action: 'create' },
+    { id: 'history', label: 'Historial', title: 'Historial', icon: History },
+    { id: 'bin', label: 'Papelera', title: 'Papelera', icon: ArchiveRestore, action: 'delete' },
+    { id: 'workspaces', label: 'Sedes', title: 'Sedes y temporadas', icon: Building2, action: 'manageWorkspaces' },
+    { id: 'staff', label: 'Equipo', title: 'Equipo', icon: Users, action: 'manageStaff' },
+    { id: 'settings', label: 'Ajustes', title: 'Ajustes', icon: Settings, action: 'manageStaff' }
+  ].filter(t => !t.action || can(profile, t.action));
+  const currentTab = tabs.find(t => t.id === activeTab) || tabs[0];
+  // En el móvil la barra muestra las secciones de uso diario y el resto va en "Más"
+  const mobileTabs = tabs.filter(t => MOBILE_NAV_TABS.includes(t.id));
+  const moreTabs = tabs.filter(t => !MOBILE_NAV_TABS.includes(t.id));
+
+  const orderFilters = listFilters.orders;
+  const orderRows = sortRecords(pagedOrders.records.map(o => ({ ...o, pagado: sumPayments(paymentsByOrder[o.id]) }))
+    .map(o => ({ ...o, saldo: (Number(o.total) || 0) - o.pagado }))
+    .filter(o => !orderFilters.q || normalizeName(`${o.cliente} ${o.descripcion || ''}`).includes(normalizeName(orderFilters.q)))
+    .filter(o => !orderFilters.saldo || (orderFilters.saldo === 'conSaldo' ? o.saldo > 0 : o.saldo <= 0)),
+  orderFilters.sort, orderFilters.dir);
+
+  const expenseFilters = listFilters.expenses;
+  const expenseRows = sortRecords(pagedExpenses.records
+    .filter(e => !expenseFilters.q || normalizeName(e.concepto).includes(normalizeName(expenseFilters.q))),
+  expenseFilters.sort, expenseFilters.dir);
+
   return (
     <div className="flex h-screen bg-slate-50 text-slate-900 font-sans overflow-hidden">
       {/* Navegación lateral (Desktop) */}
@@ -272,46 +2838,89 @@ export default function App() {
             <BookOpen size={28} strokeWidth={2.5} />
             <span className="font-bold text-xl tracking-tight">StudioManager</span>
           </div>
+          <label className="block mb-6">
+            <span className="text-[10px] font-bold text-slate-400 uppercase">Sede y temporada</span>
+            <select className="mt-1 w-full p-2 border rounded-lg bg-slate-50 text-sm" value={activeWorkspace.id} onChange={e => setWorkspaceId(e.target.value)}>
+              {workspaces.map(w => <option key={w.id} value={w.id}>{workspaceLabel(w)}{w.estado === 'cerrada' ? ' (cerrada)' : ''}</option>)}
+            </select>
+          </label>
           <nav className="space-y-1">
-            <NavItem active={activeTab === 'dashboard'} onClick={() => setActiveTab('dashboard')} icon={LayoutDashboard} label="Tablero" />
-            <NavItem active={activeTab === 'orders'} onClick={() => setActiveTab('orders')} icon={ShoppingBag} label="Pedidos" />
-            <NavItem active={activeTab === 'finance'} onClick={() => setActiveTab('finance')} icon={DollarSign} label="Finanzas" />
-            <NavItem active={activeTab === 'inventory'} onClick={() => setActiveTab('inventory')} icon={Package} label="Inventario" />
+            {tabs.map(t => (
+              <NavItem key={t.id} active={currentTab.id === t.id} onClick={() => setActiveTab(t.id)} icon={t.icon} label={t.label} />
+            ))}
           </nav>
         </div>
-        <div className="mt-auto p-4 border-t border-slate-100">
-          <p className="text-[10px] text-slate-400 font-mono">Config: {configSource}</p>
+        <div className="mt-auto p-4 border-t border-slate-100 space-y-2">
+          <div className="flex items-center gap-2 text-xs text-slate-500">
+            <User size={14} />
+            <span className="truncate flex-1">{user.email}</span>
+            <button onClick={logout} className="text-slate-400 hover:text-red-500" title="Cerrar sesión"><LogOut size={14} /></button>
+          </div>
+          <p className="text-[10px] text-slate-400 font-mono">Rol: {ROLES[profile.rol].label} · Config: {isLocalMode ? 'modo local' : configSource}</p>
         </div>
       </aside>
 
       {/* Área principal */}
       <main className="flex-1 overflow-y-auto pb-20 md:pb-0">
         <header className="h-16 bg-white border-b border-slate-200 flex items-center justify-between px-6 md:px-8 sticky top-0 z-10">
-          <h1 className="text-lg font-bold">
-            {activeTab === 'dashboard' ? 'Resumen' : activeTab === 'orders' ? 'Pedidos' : activeTab === 'finance' ? 'Caja' : 'Inventario'}
-          </h1>
-          <div className="flex gap-2">
-            {activeTab === 'orders' && <Button onClick={() => setIsModalOpen('order')} icon={Plus} className="text-sm px-3">Nuevo</Button>}
-            {activeTab === 'finance' && <Button onClick={() => setIsModalOpen('expense')} icon={Plus} className="text-sm px-3">Gasto</Button>}
-            {activeTab === 'inventory' && <Button onClick={() => setIsModalOpen('inventory')} icon={Plus} className="text-sm px-3">Stock</Button>}
+          <div className="flex items-center gap-3 min-w-0">
+            <h1 className="text-lg font-bold">{currentTab.title}</h1>
+            {profile.readOnly && <span className="flex items-center gap-1 text-[11px] font-bold text-slate-500 bg-slate-100 px-2 py-0.5 rounded-full whitespace-nowrap"><Lock size={12} /> Temporada cerrada</span>}
+            <select className="md:hidden p-1 border rounded-lg bg-slate-50 text-xs max-w-[8rem]" value={activeWorkspace.id} onChange={e => setWorkspaceId(e.target.value)}>
+              {workspaces.map(w => <option key={w.id} value={w.id}>{workspaceLabel(w)}</option>)}
+            </select>
+          </div>
+          <div className="flex gap-2 items-center">
+            <button
+              onClick={() => setIsModalOpen('sync')}
+              title="Sincronización"
+              className={`flex items-center gap-1 text-xs font-bold px-2 py-1 rounded-lg ${!online ? 'bg-amber-50 text-amber-700' : conflicts.length ? 'bg-red-50 text-red-600' : 'text-slate-400 hover:bg-slate-50'}`}
+            >
+              {online ? <Wifi size={16} /> : <WifiOff size={16} />}
+              {pendingCount > 0 && <span className="flex items-center gap-1"><RefreshCw size={12} /> {pendingCount}</span>}
+              {conflicts.length > 0 && <span>· {conflicts.length} conflicto{conflicts.length > 1 ? 's' : ''}</span>}
+            </button>
+            {currentTab.id === 'orders' && !rosterOrderId && can(profile, 'create') && <Button onClick={() => openForm('order')} icon={Plus} className="text-sm px-3">Nuevo</Button>}
+            {currentTab.id === 'finance' && can(profile, 'create') && <Button onClick={() => openForm('expense')} icon={Plus} className="text-sm px-3">Gasto</Button>}
+            {currentTab.id === 'inventory' && can(profile, 'create') && <Button onClick={() => openForm('inventory')} icon={Plus} className="text-sm px-3">Stock</Button>}
+            {currentTab.id === 'customers' && !selectedCustomerId && can(profile, 'create') && <Button onClick={() => setIsModalOpen('customer')} icon={Plus} className="text-sm px-3">Cliente</Button>}
+            {currentTab.id === 'purchases' && can(profile, 'create') && <Button onClick={() => setIsModalOpen('supplier')} icon={Plus} className="text-sm px-3">Proveedor</Button>}
+            {currentTab.id === 'catalog' && can(profile, 'create') && <Button onClick={() => setIsModalOpen('product')} icon={Plus} className="text-sm px-3">Producto</Button>}
+            <button onClick={logout} className="md:hidden p-2 text-slate-400" title="Cerrar sesión"><LogOut size={18} /></button>
           </div>
         </header>
 
         <div className="p-4 md:p-8 max-w-7xl mx-auto space-y-6">
           {/* Dashboard */}
-          {activeTab === 'dashboard' && (
+          {currentTab.id === 'dashboard' && (
             <>
-              <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 md:gap-4">
-                <StatCard label="Ventas" value={`$${stats.totalVentas}`} icon={TrendingUp} color="text-emerald-600" />
-                <StatCard label="Abonos" value={`$${stats.totalRecaudado}`} icon={DollarSign} color="text-blue-600" />
-                <StatCard label="Gastos" value={`$${stats.totalGastos}`} icon={TrendingDown} color="text-red-600" />
+              <div className="grid grid-cols-2 lg:grid-cols-5 gap-3 md:gap-4">
+                <StatCard label="Ventas" value={fmt(stats.totalVentas)} icon={TrendingUp} color="text-emerald-600" />
+                <StatCard label="Abonos" value={fmt(stats.totalRecaudado)} icon={DollarSign} color="text-blue-600" />
+                {can(profile, 'viewFinance') && <StatCard label="Gastos" value={fmt(stats.totalGastos)} icon={TrendingDown} color="text-red-600" />}
                 <StatCard label="Activos" value={stats.pedidosPendientes} icon={Clock} color="text-amber-600" />
+                <StatCard label="Atrasados" value={overdueEvents.length} icon={CalendarClock} color={overdueEvents.length ? 'text-red-600' : 'text-slate-300'} />
               </div>
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <Card className="p-6 lg:col-span-2">
+                  <div className="flex justify-between items-center mb-4">
+                    <h3 className="font-bold">Agenda</h3>
+                    <button onClick={() => setActiveTab('calendar')} className="text-xs font-bold text-blue-600 flex items-center gap-1"><CalendarDays size={12} /> Ver calendario</button>
+                  </div>
+                  <div className="space-y-2">
+                    {upcomingEvents.map(e => (
+                      <button key={`${e.orderId}-${e.id}`} onClick={() => { setCardOrderId(e.orderId); setIsModalOpen('orderCard'); }} className={`w-full flex items-center justify-between text-xs p-2 rounded text-left ${isOverdue(e) ? 'bg-red-50 text-red-700' : 'hover:bg-slate-50'}`}>
+                        <span><span className="font-bold">{e.fecha}{e.hora && ` ${e.hora}`}</span> · {EVENT_TYPES[e.tipo].label} · {e.cliente}</span>
+                        {isOverdue(e) && <span className="font-bold">Atrasado</span>}
+                      </button>
+                    ))}
+                    {upcomingEvents.length === 0 && <p className="text-slate-400 text-xs py-4">Sin hitos atrasados ni para los próximos 7 días.</p>}
+                  </div>
+                </Card>
                 <Card className="p-6">
                   <h3 className="font-bold mb-4">Pedidos Recientes</h3>
                   <div className="space-y-2">
-                    {orders.slice(0, 5).map(o => (
+                    {sortRecords(orders, 'createdAt', 'desc').slice(0, 5).map(o => (
                       <div key={o.id} className="flex items-center justify-between p-2 border-b border-slate-50 last:border-0">
                         <span className="text-sm font-medium">{o.cliente}</span>
                         <Badge status={o.estado}>{o.estado}</Badge>
@@ -321,7 +2930,12 @@ export default function App() {
                   </div>
                 </Card>
                 <Card className="p-6">
-                  <h3 className="font-bold mb-4 text-red-600">Stock Bajo</h3>
+                  <div className="flex justify-between items-center mb-4">
+                    <h3 className="font-bold text-red-600">Stock Bajo</h3>
+                    {can(profile, 'create') && inventory.some(i => i.stock <= i.minimo) && (
+                      <button onClick={() => setActiveTab('purchases')} className="text-xs font-bold text-blue-600 flex items-center gap-1"><ShoppingCart size={12} /> Reponer</button>
+                    )}
+                  </div>
                   <div className="space-y-2">
                     {inventory.filter(i => i.stock <= i.minimo).map(i => (
                       <div key={i.id} className="flex items-center justify-between text-xs bg-red-50 p-2 rounded">
@@ -336,127 +2950,1514 @@ export default function App() {
           )}
 
           {/* Pedidos */}
-          {activeTab === 'orders' && (
+          {currentTab.id === 'orders' && !rosterOrderId && (
+            <>
+            <Card className="p-4 flex flex-wrap gap-2 items-center text-sm">
+              <div className="relative flex-1 min-w-[12rem]">
+                <Search size={14} className="absolute left-2.5 top-3 text-slate-400" />
+                <input className="w-full p-2 pl-8 border rounded-lg bg-slate-50" placeholder="Buscar en los pedidos cargados" value={orderFilters.q} onChange={e => setListFilter('orders', { q: e.target.value })} />
+              </div>
+              <select className="p-2 border rounded-lg bg-slate-50" value={orderFilters.estado} onChange={e => setListFilter('orders', { estado: e.target.value })}>
+                <option value="">Todos los estados</option>
+                {ORDER_STATES.map(st => <option key={st} value={st}>{st}</option>)}
+              </select>
+              <select className="p-2 border rounded-lg bg-slate-50" value={orderFilters.saldo} onChange={e => setListFilter('orders', { saldo: e.target.value })}>
+                <option value="">Cualquier saldo</option>
+                <option value="conSaldo">Con saldo (cargados)</option>
+                <option value="pagado">Pagados (cargados)</option>
+              </select>
+              <input type="date" className="p-2 border rounded-lg bg-slate-50" value={orderFilters.desde} onChange={e => setListFilter('orders', { desde: e.target.value })} />
+              <span className="text-slate-400">a</span>
+              <input type="date" className="p-2 border rounded-lg bg-slate-50" value={orderFilters.hasta} onChange={e => setListFilter('orders', { hasta: e.target.value })} />
+              <button onClick={() => setListFilters(f => ({ ...f, orders: LIST_DEFAULTS.orders }))} className="text-xs text-slate-400 hover:text-slate-600">Limpiar</button>
+              {(orderFilters.q || orderFilters.saldo) && (
+                <p className="w-full text-[11px] text-amber-600">
+                  La búsqueda y el filtro de saldo solo revisan los {pagedOrders.records.length} pedidos cargados{pagedOrders.hasMore ? '; usa «Cargar más» para incluir más' : ''}.
+                </p>
+              )}
+            </Card>
             <Card className="overflow-hidden">
               <div className="overflow-x-auto">
                 <table className="w-full text-left text-sm">
                   <thead className="bg-slate-50 border-b">
                     <tr>
-                      <th className="px-4 py-3 font-bold text-slate-500 uppercase">Cliente</th>
+                      <SortHeader label="Cliente" field="cliente" filters={orderFilters} onSort={toggleSort('orders')} />
+                      <SortHeader label="Fecha" field="createdAt" filters={orderFilters} onSort={toggleSort('orders')} />
                       <th className="px-4 py-3 font-bold text-slate-500 uppercase">Estado</th>
-                      <th className="px-4 py-3 font-bold text-slate-500 uppercase">Pagos</th>
+                      <SortHeader label="Pagos" field="total" filters={orderFilters} onSort={toggleSort('orders')} />
+                      <th className="px-4 py-3 font-bold text-slate-500 uppercase">Saldo</th>
                       <th className="px-4 py-3"></th>
                     </tr>
                   </thead>
                   <tbody className="divide-y">
-                    {orders.map(o => (
+                    {orderRows.map(o => {
+                      const { pagado, saldo } = o;
+                      return (
                       <tr key={o.id} className="hover:bg-slate-50/50">
-                        <td className="px-4 py-3 font-medium">{o.cliente}</td>
+                        <td className="px-4 py-3">
+                          <p className="font-medium">{o.cliente}</p>
+                          {o.descripcion && <p className="text-[11px] text-slate-500">{o.descripcion}</p>}
+                          {o.items?.length > 0 && <p className="text-[10px] text-slate-400">{o.items.map(l => `${l.cantidad} × ${l.nombre}`).join(', ')}</p>}
+                          {studentsByOrder[o.id] && <p className="text-[10px] text-slate-400">{studentsByOrder[o.id].length} alumnos · {studentsByOrder[o.id].filter(s => s.entregado).length} entregados</p>}
+                        </td>
+                        <td className="px-4 py-3 text-xs text-slate-500 whitespace-nowrap">{(o.createdAt || '').split('T')[0]}</td>
                         <td className="px-4 py-3">
                           <select 
                             value={o.estado}
                             onChange={(e) => updateStatus(o.id, e.target.value)}
                             className="text-[11px] font-bold border rounded p-1"
                           >
-                            {['Pendiente', 'En Diseño', 'En Impresión', 'Listo', 'Entregado'].map(s => <option key={s} value={s}>{s}</option>)}
+                            {ORDER_STATES.map(s => <option key={s} value={s}>{s}</option>)}
                           </select>
                         </td>
                         <td className="px-4 py-3">
-                          <p className="font-bold text-emerald-600">${o.adelanto} <span className="text-slate-400 font-normal">/ ${o.total}</span></p>
+                          <p className="font-bold text-emerald-600">{fmt(pagado, o.moneda)} <span className="text-slate-400 font-normal">/ {fmt(o.total, o.moneda)}</span></p>
+                          <p className="text-[10px] text-slate-400">{(paymentsByOrder[o.id] || []).length} abonos</p>
+                        </td>
+                        <td className="px-4 py-3">
+                          <span className={`font-bold ${saldo > 0 ? 'text-amber-600' : 'text-slate-400'}`}>{fmt(saldo, o.moneda)}</span>
                         </td>
-                        <td className="px-4 py-3 text-right">
-                          <button onClick={() => deleteItem('orders', o.id)} className="text-slate-300 hover:text-red-500"><Trash2 size={16}/></button>
+                        <td className="px-4 py-3 text-right whitespace-nowrap">
+                          {can(profile, 'edit') && <button onClick={() => openForm('order', o)} className="text-slate-300 hover:text-blue-600 mr-3" title="Editar"><Pencil size={16}/></button>}
+                          <button onClick={() => { setMessageOrderId(o.id); setIsModalOpen('messages'); }} className="text-slate-300 hover:text-blue-600 mr-3" title="Avisos al cliente"><MessageCircle size={16}/></button>
+                          <button onClick={() => showHistory('orders', o.id)} className="text-slate-300 hover:text-blue-600 mr-3" title="Historial"><History size={16}/></button>
+                          <button onClick={() => { setRosterOrderId(o.id); setRosterView('lista'); }} className="text-slate-300 hover:text-blue-600 mr-3" title="Lista de alumnos"><GraduationCap size={16}/></button>
+                          {can(profile, 'create') && <button onClick={() => downloadDocument('quote', o)} className="text-slate-300 hover:text-blue-600 mr-3" title="Cotización (PDF)"><FileText size={16}/></button>}
+                          {can(profile, 'create') && o.estado === 'Entregado' && <button onClick={() => downloadDocument('delivery', o)} className="text-slate-300 hover:text-blue-600 mr-3" title="Nota de entrega (PDF)"><Truck size={16}/></button>}
+                          <button onClick={() => openPaymentModal(o.id)} className="text-slate-400 hover:text-blue-600 mr-3 inline-flex items-center gap-1 text-xs font-bold" title="Registrar abono"><Receipt size={16}/> {can(profile, 'create') ? 'Registrar abono' : 'Abonos'}</button>
+                          {can(profile, 'delete') && <button onClick={() => deleteItem('orders', o.id)} className="text-slate-300 hover:text-red-500"><Trash2 size={16}/></button>}
                         </td>
                       </tr>
-                    ))}
+                      );
+                    })}
                   </tbody>
                 </table>
+                {!pagedOrders.loading && orderRows.length === 0 && <p className="p-10 text-center text-slate-400 italic">No hay pedidos que coincidan.</p>}
               </div>
+              {pagedOrders.hasMore && (
+                <button onClick={pagedOrders.loadMore} className="w-full p-3 text-sm font-bold text-blue-600 border-t hover:bg-slate-50">Cargar más</button>
+              )}
+            </Card>
+            </>
+          )}
+
+          {/* Lista de alumnos del pedido y entrega de copias */}
+          {currentTab.id === 'orders' && rosterOrderId && (() => {
+            const order = orders.find(o => o.id === rosterOrderId);
+            if (!order) return <Button variant="ghost" icon={ChevronLeft} onClick={() => setRosterOrderId(null)}>Volver</Button>;
+            const roster = studentsByOrder[order.id] || [];
+            const ledger = paymentsByOrder[order.id] || [];
+            const paid = paidByStudent(ledger);
+            const totals = rosterTotals(roster, order, ledger);
+            const moneda = orderCurrency(order, money);
+            const priced = Number(order.precioAlumno) > 0;
+            const visible = roster.filter(s => !rosterSearch || normalizeName(`${s.nombre} ${s.grado}`).includes(normalizeName(rosterSearch)));
+            const grades = [...new Set(visible.map(s => s.grado))];
+            return (
+              <>
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <Button variant="ghost" icon={ChevronLeft} className="-ml-2" onClick={() => { setRosterOrderId(null); setRosterSearch(''); }}>Pedidos</Button>
+                  <div className="flex bg-slate-100 rounded-lg p-1 text-sm font-bold">
+                    {[['lista', 'Lista'], ['entrega', 'Entrega']].map(([id, label]) => (
+                      <button key={id} onClick={() => setRosterView(id)} className={`px-3 py-1 rounded-md ${rosterView === id ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`}>{label}</button>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <h2 className="text-lg font-bold">{order.cliente}</h2>
+                  <p className="text-xs text-slate-500">{order.descripcion || 'Pedido'} · <Badge status={order.estado}>{order.estado}</Badge></p>
+                </div>
+                <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+                  <StatCard label="Alumnos" value={`${totals.alumnos} · ${totals.copias} copias`} icon={GraduationCap} color="text-blue-600" />
+                  <StatCard label="Entregados" value={`${totals.entregados} / ${totals.alumnos}`} icon={ListChecks} color="text-emerald-600" />
+                  <StatCard label="Pagado por alumnos" value={fmt(totals.pagado, moneda)} icon={DollarSign} color="text-blue-600" />
+                  <StatCard label="Saldo de alumnos" value={priced ? fmt(totals.total - totals.pagado, moneda) : '—'} icon={Clock} color="text-amber-600" />
+                </div>
+
+                {rosterView === 'lista' && (
+                  <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                    <Card className="lg:col-span-2 overflow-hidden">
+                      <div className="p-4 border-b flex flex-wrap gap-2 items-center text-sm">
+                        <div className="relative flex-1 min-w-[12rem]">
+                          <Search size={14} className="absolute left-2.5 top-3 text-slate-400" />
+                          <input className="w-full p-2 pl-8 border rounded-lg bg-slate-50" placeholder="Buscar alumno o grado" value={rosterSearch} onChange={e => setRosterSearch(e.target.value)} />
+                        </div>
+                      </div>
+                      <div className="overflow-x-auto">
+                        <table className="w-full text-left text-sm">
+                          <thead className="bg-slate-50 border-b text-xs text-slate-500 uppercase">
+                            <tr>
+                              <th className="px-4 py-3">Alumno</th>
+                              <th className="px-4 py-3">Copias</th>
+                              <th className="px-4 py-3">Pagado</th>
+                              <th className="px-4 py-3">Saldo</th>
+                              <th className="px-4 py-3">Entrega</th>
+                              <th className="px-4 py-3"></th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y">
+                            {visible.map(s => {
+                              const saldo = studentAmount(s, order) - (paid[s.id] || 0);
+                              return (
+                                <tr key={s.id} className="hover:bg-slate-50/50">
+                                  <td className="px-4 py-2">
+                                    <p className="font-medium">{s.nombre}</p>
+                                    {s.grado && <p className="text-[11px] text-slate-400">{s.grado}</p>}
+                                  </td>
+                                  <td className="px-4 py-2">
+                                    {can(profile, 'edit')
+                                      ? <input key={s.copias} className="w-16 p-1 border rounded" type="number" min="0" defaultValue={s.copias} onBlur={e => Number(e.target.value) !== s.copias && Number(e.target.value) >= 0 && updateStudent(s, { copias: Math.round(Number(e.target.value)) })} />
+                                      : s.copias}
+                                  </td>
+                                  <td className="px-4 py-2 text-emerald-600 font-bold">{fmt(paid[s.id] || 0, moneda)}</td>
+                                  <td className="px-4 py-2">{priced ? <span className={`font-bold ${saldo > 0 ? 'text-amber-600' : 'text-slate-400'}`}>{fmt(saldo, moneda)}</span> : '—'}</td>
+                                  <td className="px-4 py-2 text-xs">{s.entregado ? <span className="text-emerald-600 font-bold">Entregado {(s.entregadoAt || '').split('T')[0]}</span> : <span className="text-slate-400">Pendiente</span>}</td>
+                                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                                    {can(profile, 'create') && <button onClick={() => openPaymentModal(order.id, s.id)} className="text-slate-300 hover:text-blue-600 mr-3" title="Registrar abono"><Receipt size={16}/></button>}
+                                    <button onClick={() => showHistory('students', s.id)} className="text-slate-300 hover:text-blue-600 mr-3" title="Historial"><History size={16}/></button>
+                                    {can(profile, 'delete') && <button onClick={() => deleteItem('students', s.id)} className="text-slate-300 hover:text-red-500"><Trash2 size={16}/></button>}
+                                  </td>
+                                </tr>
+                              );
+                            })}
+                          </tbody>
+                        </table>
+                        {visible.length === 0 && <p className="p-10 text-center text-slate-400 italic">{roster.length ? 'Ningún alumno coincide.' : 'El pedido aún no tiene lista de alumnos.'}</p>}
+                      </div>
+                    </Card>
+                    <div className="space-y-6">
+                      <Card className="p-6 space-y-3 text-sm">
+                        <h3 className="font-bold">Precio por alumno</h3>
+                        <p className="text-xs text-slate-500">Precio de cada copia en {moneda}. Con precio definido, el total del pedido es la suma de la lista.</p>
+                        {can(profile, 'edit')
+                          ? <input key={order.precioAlumno} className="w-full p-2 border rounded-lg bg-slate-50" type="number" min="0" step="0.01" defaultValue={priced ? fromCents(order.precioAlumno) : ''} placeholder="Sin precio por alumno" onBlur={e => setRosterPrice(order, e.target.value)} />
+                          : <p className="font-bold">{priced ? fmt(order.precioAlumno, moneda) : 'Sin precio por alumno'}</p>}
+                        {priced && <p className="text-xs text-slate-500">Total del pedido: <span className="font-bold">{fmt(order.total, moneda)}</span></p>}
+                      </Card>
+                      {can(profile, 'edit') && (
+                        <Card className="p-6 space-y-3">
+                          <h3 className="font-bold">Agregar alumno</h3>
+                          <input className="w-full p-2 border rounded-lg bg-slate-50 text-sm" placeholder="Nombre del alumno" value={studentForm.nombre} onChange={e => setStudentForm({...studentForm, nombre: e.target.value})} />
+                          <div className="grid grid-cols-2 gap-2">
+                            <input className="w-full p-2 border rounded-lg bg-slate-50 text-sm" placeholder="Grado / sección" value={studentForm.grado} onChange={e => setStudentForm({...studentForm, grado: e.target.value})} />
+                            <input className="w-full p-2 border rounded-lg bg-slate-50 text-sm" type="number" min="0" placeholder="Copias" value={studentForm.copias} onChange={e => setStudentForm({...studentForm, copias: e.target.value})} />
+                          </div>
+                          <Button className="w-full text-sm" icon={Plus} onClick={() => addStudent(order)}>Agregar</Button>
+                          <h3 className="font-bold pt-3 border-t">Importar lista de clase</h3>
+                          <ClassListImport existing={roster} format={cents => fmt(cents, moneda)} locale={money.locale} onImport={entries => addStudents(order, entries)} />
+                        </Card>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {rosterView === 'entrega' && (
+                  <Card className="overflow-hidden">
+                    <div className="p-4 border-b flex flex-wrap gap-2 items-center text-sm">
+                      <div className="relative flex-1 min-w-[12rem]">
+                        <Search size={14} className="absolute left-2.5 top-3 text-slate-400" />
+                        <input className="w-full p-2 pl-8 border rounded-lg bg-slate-50" placeholder="Buscar alumno o grado" value={rosterSearch} onChange={e => setRosterSearch(e.target.value)} />
+                      </div>
+                      {roster.length > 0 && totals.entregados === totals.alumnos && order.estado !== 'Entregado' && can(profile, 'updateStatus') && (
+                        <Button className="text-sm" icon={Truck} onClick={() => updateStatus(order.id, 'Entregado')}>Marcar pedido como entregado</Button>
+                      )}
+                    </div>
+                    {grades.map(grado => {
+                      const group = visible.filter(s => s.grado === grado);
+                      return (
+                        <div key={grado || '-'}>
+                          <p className="px-4 py-2 bg-slate-50 text-xs font-bold text-slate-500 uppercase flex justify-between">
+                            <span>{grado || 'Sin grado'}</span>
+                            <span>{group.filter(s => s.entregado).length} / {group.length}</span>
+                          </p>
+                          <div className="divide-y">
+                            {group.map(s => {
+                              const saldo = priced ? studentAmount(s, order) - (paid[s.id] || 0) : 0;
+                              return (
+                                <label key={s.id} className={`flex items-center gap-3 px-4 py-3 ${can(profile, 'deliverCopies') ? 'cursor-pointer hover:bg-slate-50' : ''} ${s.entregado ? 'text-slate-400' : ''}`}>
+                                  <input type="checkbox" className="w-5 h-5" checked={Boolean(s.entregado)} disabled={!can(profile, 'deliverCopies')} onChange={() => toggleDelivered(s)} />
+                                  <span className={`flex-1 font-medium ${s.entregado ? 'line-through' : ''}`}>{s.nombre}</span>
+                                  <span className="text-xs">{s.copias} {s.copias === 1 ? 'copia' : 'copias'}</span>
+                                  {saldo > 0 && <span className="text-xs font-bold text-amber-600">Debe {fmt(saldo, moneda)}</span>}
+                                </label>
+                              );
+                            })}
+                          </div>
+                        </div>
+                      );
+                    })}
+                    {visible.length === 0 && <p className="p-10 text-center text-slate-400 italic">{roster.length ? 'Ningún alumno coincide.' : 'El pedido aún no tiene lista de alumnos.'}</p>}
+                  </Card>
+                )}
+              </>
+            );
+          })()}
+
+          {/* Tablero de producción */}
+          {currentTab.id === 'board' && (
+            <div className="flex gap-4 overflow-x-auto pb-4">
+              {ORDER_STATES.map(estado => {
+                const column = orders.filter(o => o.estado === estado);
+                return (
+                  <div
+                    key={estado}
+                    onDragOver={(e) => { e.preventDefault(); setDragOverState(estado); }}
+                    onDragLeave={() => setDragOverState(null)}
+                    onDrop={(e) => {
+                      e.preventDefault();
+                      setDragOverState(null);
+                      updateStatus(e.dataTransfer.getData('text/plain'), estado);
+                    }}
+                    className={`w-64 shrink-0 rounded-xl p-3 space-y-3 ${dragOverState === estado ? 'bg-blue-50 ring-2 ring-blue-200' : 'bg-slate-100'}`}
+                  >
+                    <div className="flex justify-between items-center px-1">
+                      <Badge status={estado}>{estado}</Badge>
+                      <span className="text-xs font-bold text-slate-400">{column.length}</span>
+                    </div>
+                    {column.map(o => {
+                      const saldo = orderBalance(o, paymentsByOrder);
+                      const overdue = o.fechaEntrega && o.estado !== 'Entregado' && o.fechaEntrega < today();
+                      const assignee = staff.find(s => s.id === o.asignado);
+                      const lateMilestones = overdueEvents.filter(e => e.orderId === o.id && e.tipo !== 'entrega').length;
+                      return (
+                        <div
+                          key={o.id}
+                          draggable={can(profile, 'updateStatus')}
+                          onDragStart={(e) => e.dataTransfer.setData('text/plain', o.id)}
+                          onClick={() => { setCardOrderId(o.id); setIsModalOpen('orderCard'); }}
+                          className="bg-white rounded-lg border border-slate-200 shadow-sm p-3 text-sm cursor-pointer hover:border-blue-300"
+                        >
+                          <p className="font-bold">{o.cliente}</p>
+                          {saldo > 0 && <p className="text-[11px] text-amber-600 font-bold">Saldo {fmt(saldo, o.moneda)}</p>}
+                          <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-[11px] text-slate-500">
+                            <span className="flex items-center gap-1"><Clock size={12} /> {daysBetween(stageEnteredAt(o))} d en etapa</span>
+                            {o.fechaEntrega && <span className={`flex items-center gap-1 ${overdue ? 'text-red-600 font-bold' : ''}`}><CalendarClock size={12} /> {o.fechaEntrega}</span>}
+                            {assignee && <span className="flex items-center gap-1"><User size={12} /> {assignee.email}</span>}
+                            {lateMilestones > 0 && <span className="flex items-center gap-1 text-red-600 font-bold"><CalendarDays size={12} /> {lateMilestones} atrasado{lateMilestones > 1 ? 's' : ''}</span>}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Agenda */}
+          {currentTab.id === 'calendar' && (() => {
+            const days = calendarDays(calendarDate, calendarView);
+            const byDay = visibleEvents.reduce((acc, e) => {
+              (acc[e.fecha] = acc[e.fecha] || []).push(e);
+              return acc;
+            }, {});
+            const title = calendarView === 'week'
+              ? `Semana del ${Number(days[0].slice(8))} ${MONTH_NAMES[Number(days[0].slice(5, 7)) - 1]} al ${Number(days[6].slice(8))} ${MONTH_NAMES[Number(days[6].slice(5, 7)) - 1]} ${days[6].slice(0, 4)}`
+              : new Date(`${calendarDate}T12:00:00`).toLocaleDateString('es', { month: 'long', year: 'numeric' });
+            const overdue = visibleEvents.filter(e => isOverdue(e));
+            return (
+              <>
+                <Card className="p-4 flex flex-wrap gap-2 items-center text-sm">
+                  <button onClick={() => setCalendarDate(d => shiftCalendar(d, calendarView, -1))} className="p-2 border rounded-lg hover:bg-slate-50"><ChevronLeft size={14} /></button>
+                  <button onClick={() => setCalendarDate(today())} className="px-3 py-2 border rounded-lg hover:bg-slate-50 font-bold">Hoy</button>
+                  <button onClick={() => setCalendarDate(d => shiftCalendar(d, calendarView, 1))} className="p-2 border rounded-lg hover:bg-slate-50"><ChevronRight size={14} /></button>
+                  <h3 className="font-bold capitalize flex-1 min-w-[10rem]">{title}</h3>
+                  <div className="flex bg-slate-100 rounded-lg p-1 font-bold">
+                    {[['month', 'Mes'], ['week', 'Semana']].map(([id, label]) => (
+                      <button key={id} onClick={() => setCalendarView(id)} className={`px-3 py-1 rounded-md ${calendarView === id ? 'bg-white shadow-sm text-blue-600' : 'text-slate-500'}`}>{label}</button>
+                    ))}
+                  </div>
+                  <label className="flex items-center gap-2 text-xs">
+                    <input type="checkbox" checked={calendarMine} onChange={e => setCalendarMine(e.target.checked)} />
+                    Solo mis pedidos
+                  </label>
+                  <Button variant="secondary" icon={Download} className="text-sm" onClick={exportCalendar}>Descargar .ics</Button>
+                  <p className="w-full text-[10px] text-slate-400">El archivo .ics se importa en Google Calendar, Outlook o el calendario del teléfono y no se actualiza solo: después de cambiar la agenda, descárgalo e impórtalo de nuevo.</p>
+                </Card>
+                {overdue.length > 0 && (
+                  <Card className="p-4 border-red-100 bg-red-50/50">
+                    <p className="text-xs font-bold text-red-600 uppercase mb-2">Atrasados ({overdue.length})</p>
+                    <div className="flex flex-wrap gap-2">
+                      {overdue.map(e => (
+                        <button key={`${e.orderId}-${e.id}`} onClick={() => { setCardOrderId(e.orderId); setIsModalOpen('orderCard'); }} className="text-xs bg-white border border-red-200 text-red-700 rounded-lg px-2 py-1 hover:border-red-400">
+                          <span className="font-bold">{e.fecha}</span> · {EVENT_TYPES[e.tipo].label} · {e.cliente}
+                        </button>
+                      ))}
+                    </div>
+                  </Card>
+                )}
+                <Card className="overflow-hidden">
+                  <div className="grid grid-cols-7 bg-slate-50 border-b">
+                    {WEEKDAY_NAMES.map(d => <p key={d} className="px-2 py-2 text-[10px] font-bold text-slate-500 uppercase">{d}</p>)}
+                  </div>
+                  <div className="grid grid-cols-7">
+                    {days.map(day => (
+                      <div key={day} className={`border-b border-r p-1 min-w-0 ${calendarView === 'week' ? 'min-h-[16rem]' : 'min-h-[6rem]'} ${calendarView === 'month' && day.slice(0, 7) !== calendarDate.slice(0, 7) ? 'bg-slate-50/60' : ''}`}>
+                        <p className={`text-[11px] font-bold mb-1 ${day === today() ? 'text-blue-600' : calendarView === 'month' && day.slice(0, 7) !== calendarDate.slice(0, 7) ? 'text-slate-300' : 'text-slate-500'}`}>{Number(day.slice(8))}</p>
+                        {(byDay[day] || []).map(e => (
+                          <button
+                            key={`${e.orderId}-${e.id}`}
+                            onClick={() => { setCardOrderId(e.orderId); setIsModalOpen('orderCard'); }}
+                            title={`${EVENT_TYPES[e.tipo].label} · ${e.cliente}${e.nota ? ` · ${e.nota}` : ''}`}
+                            className={`block w-full text-left truncate text-[10px] px-1 py-0.5 rounded mb-0.5 ${EVENT_TYPES[e.tipo].color} ${isOverdue(e) ? 'ring-1 ring-red-500 font-bold' : ''} ${e.done ? 'line-through opacity-60' : ''}`}
+                          >
+                            {e.hora && `${e.hora} `}{calendarView === 'week' && `${EVENT_TYPES[e.tipo].label} · `}{e.cliente}
+                          </button>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </Card>
+                <div className="flex flex-wrap gap-2 text-[11px]">
+                  {Object.entries(EVENT_TYPES).map(([tipo, t]) => <span key={tipo} className={`px-2 py-0.5 rounded-full font-semibold ${t.color}`}>{t.label}</span>)}
+                  <span className="px-2 py-0.5 rounded-full font-semibold ring-1 ring-red-500 text-red-600">Atrasado</span>
+                </div>
+              </>
+            );
+          })()}
+
+          {/* Clientes */}
+          {currentTab.id === 'customers' && !selectedCustomerId && (
+            <Card className="overflow-hidden divide-y">
+              {customers.map(c => {
+                const related = ordersForCustomer(c, orders);
+                const saldo = related.reduce((sum, o) => sum + toStudioCents(orderBalance(o, paymentsByOrder), o.moneda, money), 0);
+                return (
+                  <button key={c.id} onClick={() => setSelectedCustomerId(c.id)} className="w-full p-4 flex justify-between items-center text-left text-sm hover:bg-slate-50">
+                    <div>
+                      <p className="font-bold">{c.nombre}</p>
+                      <p className="text-xs text-slate-400">{[c.contacto, c.telefono].filter(Boolean).join(' · ') || 'Sin datos de contacto'}</p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-xs text-slate-500">{related.length} pedidos</p>
+                      {saldo > 0 && <p className="text-xs font-bold text-amber-600">Saldo {fmt(saldo)}</p>}
+                    </div>
+                  </button>
+                );
+              })}
+              {customers.length === 0 && <p className="p-10 text-center text-slate-400 italic">No hay clientes registrados.</p>}
             </Card>
           )}
 
+          {currentTab.id === 'customers' && selectedCustomerId && (() => {
+            const customer = customers.find(c => c.id === selectedCustomerId);
+            if (!customer) return <Button variant="ghost" icon={ChevronLeft} onClick={() => setSelectedCustomerId(null)}>Volver</Button>;
+            const related = ordersForCustomer(customer, orders);
+            const ledger = related.flatMap(o => (paymentsByOrder[o.id] || []).map(p => ({ ...p, cliente: o.cliente })))
+              .sort((a, b) => (b.fecha || '').localeCompare(a.fecha || ''));
+            const vendido = related.reduce((sum, o) => sum + toStudioCents(o.total, o.moneda, money), 0);
+            const pagado = paymentsInStudio(ledger, money);
+            return (
+              <>
+                <Button variant="ghost" icon={ChevronLeft} className="-ml-2" onClick={() => setSelectedCustomerId(null)}>Clientes</Button>
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                  <Card className="p-6 space-y-2 text-sm">
+                    <div className="flex justify-between items-start">
+                      <h2 className="text-lg font-bold">{customer.nombre}</h2>
+                      {can(profile, 'delete') && <button onClick={() => { deleteItem('customers', customer.id); setSelectedCustomerId(null); }} className="text-slate-200 hover:text-red-500"><Trash2 size={16}/></button>}
+                    </div>
+                    {customer.contacto && <p className="flex items-center gap-2"><User size={14} className="text-slate-400" /> {customer.contacto}</p>}
+                    {customer.telefono && <p className="flex items-center gap-2"><Phone size={14} className="text-slate-400" /> {customer.telefono}</p>}
+                    {customer.email && <p className="flex items-center gap-2"><Mail size={14} className="text-slate-400" /> {customer.email}</p>}
+                    {customer.direccion && <p className="flex items-center gap-2"><MapPin size={14} className="text-slate-400" /> {customer.direccion}</p>}
+                    {customer.idTributario && <p className="text-xs text-slate-400 font-mono">ID tributario: {customer.idTributario}</p>}
+                  </Card>
+                  <div className="lg:col-span-2 grid grid-cols-3 gap-3 h-fit">
+                    <StatCard label="Vendido" value={fmt(vendido)} icon={TrendingUp} color="text-emerald-600" />
+                    <StatCard label="Pagado" value={fmt(pagado)} icon={DollarSign} color="text-blue-600" />
+                    <StatCard label="Saldo" value={fmt(vendido - pagado)} icon={Clock} color="text-amber-600" />
+                  </div>
+                </div>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <Card className="p-6">
+                    <h3 className="font-bold mb-4">Pedidos</h3>
+                    <div className="space-y-2">
+                      {related.map(o => (
+                        <div key={o.id} className="flex items-center justify-between p-2 border-b border-slate-50 last:border-0 text-sm">
+                          <div>
+                            <p className="font-medium">{o.descripcion || (o.items || []).map(l => `${l.cantidad} × ${l.nombre}`).join(', ') || 'Pedido'}</p>
+                            <p className="text-[11px] text-slate-400">{(o.createdAt || '').split('T')[0]} · {fmt(o.total, o.moneda)}</p>
+                          </div>
+                          <Badge status={o.estado}>{o.estado}</Badge>
+                        </div>
+                      ))}
+                      {related.length === 0 && <p className="text-slate-400 text-xs py-4">Sin pedidos.</p>}
+                    </div>
+                  </Card>
+                  <Card className="p-6">
+                    <h3 className="font-bold mb-4">Abonos</h3>
+                    <div className="space-y-2">
+                      {ledger.map(p => (
+                        <div key={p.id} className="flex items-center justify-between text-xs p-2 border-b border-slate-50 last:border-0">
+                          <span>{p.fecha} · {p.metodo}{p.recibo && ` · Recibo ${p.recibo}`}</span>
+                          <span className="font-bold text-emerald-600">{fmt(p.monto, p.moneda)}</span>
+                        </div>
+                      ))}
+                      {ledger.length === 0 && <p className="text-slate-400 text-xs py-4">Sin abonos.</p>}
+                    </div>
+                  </Card>
+                </div>
+                <Card className="p-6">
+                  <h3 className="font-bold mb-4">Volumen por año</h3>
+                  <table className="w-full text-left text-sm">
+                    <thead className="text-xs text-slate-500 uppercase">
+                      <tr><th className="py-2">Año</th><th className="py-2">Pedidos</th><th className="py-2">Anuarios</th><th className="py-2">Ventas</th></tr>
+                    </thead>
+                    <tbody className="divide-y">
+                      {yearlyVolume(related, money).map((y, idx, all) => {
+                        const prev = all[idx + 1];
+                        const change = prev?.ejemplares ? Math.round(((y.ejemplares - prev.ejemplares) / prev.ejemplares) * 100) : null;
+                        return (
+                          <tr key={y.year}>
+                            <td className="py-2 font-bold">{y.year}</td>
+                            <td className="py-2">{y.pedidos}</td>
+                            <td className="py-2">
+                              {y.ejemplares}
+                              {change !== null && <span className={`ml-2 text-[11px] font-bold ${change >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>{change >= 0 ? '+' : ''}{change}%</span>}
+                            </td>
+                            <td className="py-2">{fmt(y.ventas)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </Card>
+              </>
+            );
+          })()}
+
           {/* Finanzas */}
-          {activeTab === 'finance' && (
+          {currentTab.id === 'finance' && (
              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
                 <Card className="lg:col-span-2 overflow-hidden">
-                   {expenses.map(e => (
+                   <div className="p-4 border-b flex flex-wrap gap-2 items-center text-sm">
+                     <div className="relative flex-1 min-w-[12rem]">
+                       <Search size={14} className="absolute left-2.5 top-3 text-slate-400" />
+                       <input className="w-full p-2 pl-8 border rounded-lg bg-slate-50" placeholder="Buscar en los gastos cargados" value={expenseFilters.q} onChange={e => setListFilter('expenses', { q: e.target.value })} />
+                     </div>
+                     <select className="p-2 border rounded-lg bg-slate-50" value={expenseFilters.categoria} onChange={e => setListFilter('expenses', { categoria: e.target.value })}>
+                       <option value="">Todas las categorías</option>
+                       {EXPENSE_CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                     </select>
+                     <input type="date" className="p-2 border rounded-lg bg-slate-50" value={expenseFilters.desde} onChange={e => setListFilter('expenses', { desde: e.target.value })} />
+                     <span className="text-slate-400">a</span>
+                     <input type="date" className="p-2 border rounded-lg bg-slate-50" value={expenseFilters.hasta} onChange={e => setListFilter('expenses', { hasta: e.target.value })} />
+                     {expenseFilters.q && (
+                       <p className="w-full text-[11px] text-amber-600">
+                         La búsqueda solo revisa los {pagedExpenses.records.length} gastos cargados{pagedExpenses.hasMore ? '; usa «Cargar más» para incluir más' : ''}.
+                       </p>
+                     )}
+                   </div>
+                   <table className="w-full text-left text-xs bg-slate-50 border-b">
+                     <thead>
+                       <tr>
+                         <SortHeader label="Concepto" field="concepto" filters={expenseFilters} onSort={toggleSort('expenses')} />
+                         <SortHeader label="Fecha" field="fecha" filters={expenseFilters} onSort={toggleSort('expenses')} />
+                         <SortHeader label="Monto" field="monto" filters={expenseFilters} onSort={toggleSort('expenses')} className="text-right" />
+                       </tr>
+                     </thead>
+                   </table>
+                   {expenseRows.map(e => (
                      <div key={e.id} className="p-4 border-b flex justify-between items-center text-sm">
-                        <div><p className="font-bold">{e.concepto}</p><p className="text-xs text-slate-400">{e.fecha}</p></div>
+                        <div>
+                          <p className="font-bold">{e.concepto}</p>
+                          <p className="text-xs text-slate-400">
+                            {e.fecha} · {e.categoria || 'Sin categoría'}
+                            {e.orderId && ` · ${orders.find(o => o.id === e.orderId)?.cliente || 'Pedido eliminado'}`}
+                          </p>
+                        </div>
                         <div className="flex items-center gap-4">
-                          <span className="text-red-600 font-bold">-${e.monto}</span>
-                          <button onClick={() => deleteItem('expenses', e.id)} className="text-slate-200"><Trash2 size={14}/></button>
+                          <span className="text-red-600 font-bold">-{fmt(e.monto)}</span>
+                          {can(profile, 'edit') && <button onClick={() => openForm('expense', e)} className="text-slate-200 hover:text-blue-600" title="Editar"><Pencil size={14}/></button>}
+                          <button onClick={() => showHistory('expenses', e.id)} className="text-slate-200 hover:text-blue-600" title="Historial"><History size={14}/></button>
+                          {can(profile, 'delete') && <button onClick={() => deleteItem('expenses', e.id)} className="text-slate-200"><Trash2 size={14}/></button>}
                         </div>
                      </div>
                    ))}
-                   {expenses.length === 0 && <p className="p-10 text-center text-slate-400 italic">No hay gastos.</p>}
+                   {!pagedExpenses.loading && expenseRows.length === 0 && <p className="p-10 text-center text-slate-400 italic">No hay gastos.</p>}
+                   {pagedExpenses.hasMore && (
+                     <button onClick={pagedExpenses.loadMore} className="w-full p-3 text-sm font-bold text-blue-600 hover:bg-slate-50">Cargar más</button>
+                   )}
                 </Card>
                 <Card className="p-6 bg-blue-600 text-white shadow-xl h-fit">
                    <h3 className="text-xs opacity-70 font-bold uppercase mb-2">Balance General</h3>
-                   <p className="text-4xl font-black">${stats.balance.toFixed(2)}</p>
+                   <p className="text-4xl font-black">{expenseTotal === null ? '…' : fmt(stats.totalRecaudado - expenseTotal)}</p>
+                   <p className="text-[11px] opacity-70 mt-2">
+                     {expenseTotal === null ? 'El total de gastos se calcula en el servidor; requiere conexión.' : `Abonos menos ${fmt(expenseTotal)} de gastos`}
+                   </p>
                 </Card>
              </div>
           )}
 
+          {/* Reportes */}
+          {currentTab.id === 'reports' && (() => {
+            const range = periodRange(reportPeriod);
+            const ledger = orders.flatMap(o => paymentsByOrder[o.id] || []);
+            const periodPayments = ledger.filter(p => !range.desde && !range.hasta ? true : inRange(p.fecha, range));
+            const periodExpenses = expenses.filter(e => !range.desde && !range.hasta ? true : inRange(e.fecha, range));
+            const ingresos = paymentsInStudio(periodPayments, money);
+            const gastos = periodExpenses.reduce((sum, e) => sum + (Number(e.monto) || 0), 0);
+            const series = incomeExpenseSeries(periodPayments, periodExpenses, range, money);
+            const maxBar = Math.max(1, ...series.map(b => Math.max(b.ingresos, b.gastos)));
+            const byCategory = EXPENSE_CATEGORIES.concat('Sin categoría')
+              .map(cat => ({ cat, total: periodExpenses.filter(e => (e.categoria || 'Sin categoría') === cat).reduce((sum, e) => sum + (Number(e.monto) || 0), 0) }))
+              .filter(c => c.total > 0);
+            const aging = receivablesAging(orders, paymentsByOrder, money);
+            const margins = orderMargins(
+              orders.filter(o => !range.desde && !range.hasta ? true : inRange((o.createdAt || '').split('T')[0], range)),
+              expenses,
+              money
+            ).sort((a, b) => b.venta - a.venta);
+            const seasons = [...new Set([today().slice(0, 4), ...orders.map(o => (o.createdAt || '').slice(0, 4)), ...expenses.map(e => (e.fecha || '').slice(0, 4))].filter(Boolean))].sort().reverse();
+            return (
+              <>
+                <Card className="p-4 flex flex-wrap gap-2 items-center text-sm">
+                  <select className="p-2 border rounded-lg bg-slate-50" value={reportPeriod.mode} onChange={e => setReportPeriod({ ...reportPeriod, mode: e.target.value })}>
+                    <option value="month">Mes</option>
+                    <option value="season">Temporada</option>
+                    <option value="range">Rango de fechas</option>
+                    <option value="all">Todo</option>
+                  </select>
+                  {reportPeriod.mode === 'month' && <input type="month" className="p-2 border rounded-lg bg-slate-50" value={reportPeriod.month} onChange={e => setReportPeriod({ ...reportPeriod, month: e.target.value })} />}
+                  {reportPeriod.mode === 'season' && (
+                    <select className="p-2 border rounded-lg bg-slate-50" value={reportPeriod.season} onChange={e => setReportPeriod({ ...reportPeriod, season: e.target.value })}>
+                      {seasons.map(y => <option key={y} value={y}>{y}</option>)}
+                    </select>
+                  )}
+                  {reportPeriod.mode === 'range' && (
+                    <>
+                      <input type="date" className="p-2 border rounded-lg bg-slate-50" value={reportPeriod.desde} onChange={e => setReportPeriod({ ...reportPeriod, desde: e.target.value })} />
+                      <span className="text-slate-400">a</span>
+                      <input type="date" className="p-2 border rounded-lg bg-slate-50" value={reportPeriod.hasta} onChange={e => setReportPeriod({ ...reportPeriod, hasta: e.target.value })} />
+                    </>
+                  )}
+                </Card>
+
+                <div className="grid grid-cols-3 gap-3 md:gap-4">
+                  <StatCard label="Ingresos" value={fmt(ingresos)} icon={TrendingUp} color="text-emerald-600" />
+                  <StatCard label="Gastos" value={fmt(gastos)} icon={TrendingDown} color="text-red-600" />
+                  <StatCard label="Resultado" value={fmt(ingresos - gastos)} icon={DollarSign} color={ingresos - gastos >= 0 ? 'text-blue-600' : 'text-red-600'} />
+                </div>
+
+                <Card className="p-6">
+                  <h3 className="font-bold mb-4">Ingresos vs. gastos</h3>
+                  {series.length === 0 ? <p className="text-slate-400 text-xs py-4">Sin movimientos en el período.</p> : (
+                    <div className="overflow-x-auto">
+                      <div className="flex items-end gap-2 h-48 min-w-fit">
+                        {series.map(b => (
+                          <div key={b.key} className="flex flex-col items-center gap-1 w-10 shrink-0" title={`${b.label}: ingresos ${fmt(b.ingresos)} · gastos ${fmt(b.gastos)}`}>
+                            <div className="flex items-end gap-0.5 h-40">
+                              <div className="w-4 bg-emerald-500 rounded-t" style={{ height: `${(b.ingresos / maxBar) * 100}%` }} />
+                              <div className="w-4 bg-red-400 rounded-t" style={{ height: `${(b.gastos / maxBar) * 100}%` }} />
+                            </div>
+                            <span className="text-[10px] text-slate-400 whitespace-nowrap">{b.label}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  <div className="flex gap-4 mt-3 text-xs text-slate-500">
+                    <span className="flex items-center gap-1"><span className="w-3 h-3 bg-emerald-500 rounded-sm" /> Ingresos</span>
+                    <span className="flex items-center gap-1"><span className="w-3 h-3 bg-red-400 rounded-sm" /> Gastos</span>
+                  </div>
+                </Card>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <Card className="p-6">
+                    <h3 className="font-bold mb-4">Gastos por categoría</h3>
+                    <div className="space-y-3">
+                      {byCategory.map(c => (
+                        <div key={c.cat} className="text-xs">
+                          <div className="flex justify-between mb-1"><span className="font-medium">{c.cat}</span><span className="font-bold">{fmt(c.total)}</span></div>
+                          <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                            <div className="h-full bg-red-400" style={{ width: `${(c.total / gastos) * 100}%` }} />
+                          </div>
+                        </div>
+                      ))}
+                      {byCategory.length === 0 && <p className="text-slate-400 text-xs py-4">Sin gastos en el período.</p>}
+                    </div>
+                  </Card>
+                  <Card className="p-6">
+                    <div className="flex justify-between items-center mb-4">
+                      <h3 className="font-bold">Cuentas por cobrar (antigüedad)</h3>
+                      {/* WhatsApp abre un chat por pedido: los recordatorios masivos solo van por correo */}
+                      {notificationSettings.proveedor !== 'whatsapp' && notificationSettings.plantillas[REMINDER_EVENT].activo && can(profile, 'updateStatus') && (
+                        <button onClick={() => sendReminders(aging.flatMap(b => b.orders))} className="text-xs font-bold text-blue-600 flex items-center gap-1"><Send size={12} /> Recordar saldos</button>
+                      )}
+                    </div>
+                    <div className="space-y-2">
+                      {aging.map(b => (
+                        <details key={b.label} className="text-sm border-b border-slate-50 last:border-0 pb-2">
+                          <summary className="flex justify-between cursor-pointer">
+                            <span>{b.label} <span className="text-xs text-slate-400">({b.orders.length})</span></span>
+                            <span className={`font-bold ${b.max > 60 && b.total > 0 ? 'text-red-600' : 'text-amber-600'}`}>{fmt(b.total)}</span>
+                          </summary>
+                          <ul className="mt-2 space-y-1 text-xs text-slate-500">
+                            {b.orders.map(o => <li key={o.id} className="flex justify-between"><span>{o.cliente} · {o.dias} d</span><span>{fmt(o.saldo, o.moneda)}</span></li>)}
+                          </ul>
+                        </details>
+                      ))}
+                    </div>
+                  </Card>
+                </div>
+
+                <Card className="overflow-hidden">
+                  <h3 className="font-bold p-6 pb-2">Margen por pedido</h3>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                      <thead className="bg-slate-50 border-y">
+                        <tr>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Pedido</th>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Venta</th>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Costos</th>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Margen</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y">
+                        {margins.map(o => (
+                          <tr key={o.id}>
+                            <td className="px-4 py-3 font-medium">{o.cliente}</td>
+                            <td className="px-4 py-3">{fmt(o.venta)}</td>
+                            <td className="px-4 py-3 text-red-600">{fmt(o.costos)}</td>
+                            <td className={`px-4 py-3 font-bold ${o.margen >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>{fmt(o.margen)} <span className="text-xs font-normal text-slate-400">({o.margenPct}%)</span></td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {margins.length === 0 && <p className="p-6 text-center text-slate-400 italic">Sin pedidos en el período.</p>}
+                  </div>
+                  <p className="px-6 py-3 text-[11px] text-slate-400 border-t">Los costos son los gastos vinculados a cada pedido desde el formulario de gasto.</p>
+                </Card>
+              </>
+            );
+          })()}
+
           {/* Inventario */}
-          {activeTab === 'inventory' && (
+          {currentTab.id === 'inventory' && (
              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
                 {inventory.map(i => (
                   <Card key={i.id} className="p-5">
                      <h3 className="font-bold text-slate-700 mb-1">{i.item}</h3>
-                     <p className="text-3xl font-black mb-4">{i.stock}</p>
+                     <p className="text-3xl font-black">{i.stock}</p>
+                     <p className="text-[11px] text-slate-400 mb-4">
+                       Mínimo {i.minimo ?? 0}
+                       {i.costo > 0 && <> · Costo {fmt(i.costo)}</>}
+                       {i.proveedorId && <> · {suppliers.find(s => s.id === i.proveedorId)?.nombre}</>}
+                       {reserved[i.id] > 0 && <> · Reservado {reserved[i.id]} · <span className={i.stock - reserved[i.id] < (i.minimo ?? 0) ? 'text-red-600 font-bold' : ''}>Disponible {i.stock - reserved[i.id]}</span></>}
+                     </p>
                      <div className="flex justify-between items-center">
                         <div className="flex gap-2">
-                          <button onClick={() => updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'inventory', i.id), { stock: Math.max(0, i.stock - 1) })} className="w-8 h-8 border rounded hover:bg-slate-50 font-bold">-</button>
-                          <button onClick={() => updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'inventory', i.id), { stock: i.stock + 1 })} className="w-8 h-8 border rounded hover:bg-slate-50 font-bold">+</button>
+                          {can(profile, 'updateStock') && (
+                            <>
+                              <button onClick={() => updateStock(i, -1)} className="w-8 h-8 border rounded hover:bg-slate-50 font-bold">-</button>
+                              <button onClick={() => updateStock(i, 1)} className="w-8 h-8 border rounded hover:bg-slate-50 font-bold">+</button>
+                            </>
+                          )}
+                        </div>
+                        <div className="flex gap-3">
+                          {can(profile, 'edit') && <button onClick={() => openForm('inventory', i)} className="text-slate-200 hover:text-blue-600" title="Editar"><Pencil size={16}/></button>}
+                          <button onClick={() => openStockModal(i.id)} className="text-slate-200 hover:text-blue-600" title="Movimientos de stock"><Layers size={16}/></button>
+                          <button onClick={() => showHistory('inventory', i.id)} className="text-slate-200 hover:text-blue-600" title="Historial"><History size={16}/></button>
+                          {can(profile, 'delete') && <button onClick={() => deleteItem('inventory', i.id)} className="text-slate-200"><Trash2 size={16}/></button>}
                         </div>
-                        <button onClick={() => deleteItem('inventory', i.id)} className="text-slate-200"><Trash2 size={16}/></button>
                      </div>
                   </Card>
                 ))}
              </div>
           )}
+
+          {/* Compras y proveedores */}
+          {currentTab.id === 'purchases' && (() => {
+            const drafts = draftPurchaseOrders(inventory, purchaseOrders, suppliers);
+            return (
+              <>
+                <Card className="p-6">
+                  <div className="flex justify-between items-center mb-4">
+                    <h3 className="font-bold">Por reponer</h3>
+                    {drafts.length > 0 && <Button className="text-sm" icon={ShoppingCart} onClick={generatePurchaseOrders}>Generar órdenes de compra</Button>}
+                  </div>
+                  <div className="space-y-2 text-xs">
+                    {drafts.flatMap(d => d.lineas.map(l => (
+                      <div key={l.inventoryId} className="flex justify-between bg-red-50 p-2 rounded">
+                        <span><span className="font-bold">{l.item}</span> · {d.proveedor}</span>
+                        <span>Sugerido {l.cantidad} un.</span>
+                      </div>
+                    )))}
+                    {drafts.length === 0 && <p className="text-slate-400 py-2">Todo el inventario está sobre el mínimo o ya tiene una orden pendiente.</p>}
+                  </div>
+                </Card>
+
+                <div className="space-y-4">
+                  {purchaseOrders.map(po => (
+                    <Card key={po.id} className="p-5">
+                      <div className="flex justify-between items-start mb-3">
+                        <div>
+                          <p className="font-bold">{po.proveedor}</p>
+                          <p className="text-xs text-slate-400">{po.fecha}{po.recibidaAt && ` · recibida ${po.recibidaAt.split('T')[0]}`}</p>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          <Badge status={po.estado === 'Recibida' ? 'Listo' : 'Pendiente'}>{po.estado}</Badge>
+                          {can(profile, 'delete') && po.estado === 'Pendiente' && <button onClick={() => deleteItem('purchaseOrders', po.id)} className="text-slate-300 hover:text-red-500"><Trash2 size={14}/></button>}
+                        </div>
+                      </div>
+                      <table className="w-full text-left text-xs">
+                        <thead className="text-slate-400 uppercase">
+                          <tr><th className="py-1">Artículo</th><th className="py-1">Cantidad</th><th className="py-1">Costo unit.</th><th className="py-1 text-right">Subtotal</th></tr>
+                        </thead>
+                        <tbody className="divide-y">
+                          {(po.lineas || []).map((l, idx) => (
+                            <tr key={`${l.inventoryId}-${idx}`}>
+                              <td className="py-1 font-medium">{l.item}</td>
+                              <td className="py-1">
+                                {po.estado === 'Pendiente' && can(profile, 'edit')
+                                  ? <input className="w-16 p-1 border rounded" type="number" min="0" defaultValue={l.cantidad} onBlur={e => Number(e.target.value) !== l.cantidad && updatePurchaseLine(po, idx, { cantidad: Math.max(0, Number(e.target.value) || 0) })} />
+                                  : l.cantidad}
+                              </td>
+                              <td className="py-1">
+                                {po.estado === 'Pendiente' && can(profile, 'edit')
+                                  ? <input className="w-20 p-1 border rounded" type="number" min="0" defaultValue={fromCents(l.costo)} onBlur={e => toCents(e.target.value) !== l.costo && updatePurchaseLine(po, idx, { costo: Math.max(0, toCents(e.target.value)) })} />
+                                  : fmt(l.costo)}
+                              </td>
+                              <td className="py-1 text-right">{fmt((Number(l.cantidad) || 0) * (Number(l.costo) || 0))}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div className="flex justify-between items-center mt-3 pt-3 border-t">
+                        <span className="font-bold">Total {fmt(purchaseTotal(po.lineas))}</span>
+                        {po.estado === 'Pendiente' && can(profile, 'viewFinance') && (
+                          <Button className="text-sm" icon={PackageCheck} onClick={() => window.confirm(`¿Recibir la compra a ${po.proveedor}? Se sumará al stock y se registrará el gasto.`) && receivePurchaseOrder(po)}>Recibir</Button>
+                        )}
+                      </div>
+                    </Card>
+                  ))}
+                  {purchaseOrders.length === 0 && <p className="p-10 text-center text-slate-400 italic">No hay órdenes de compra.</p>}
+                </div>
+
+                <Card className="overflow-hidden">
+                  <h3 className="font-bold p-6 pb-2">Proveedores</h3>
+                  <div className="divide-y">
+                    {suppliers.map(s => (
+                      <div key={s.id} className="px-6 py-3 flex justify-between items-center text-sm">
+                        <div>
+                          <p className="font-medium">{s.nombre}</p>
+                          <p className="text-xs text-slate-400">{[s.contacto, s.telefono, s.email].filter(Boolean).join(' · ')}</p>
+                        </div>
+                        <div className="flex items-center gap-3">
+                          <span className="text-xs text-slate-400">{inventory.filter(i => i.proveedorId === s.id).length} artículos</span>
+                          {can(profile, 'delete') && <button onClick={() => deleteItem('suppliers', s.id)} className="text-slate-300 hover:text-red-500"><Trash2 size={14}/></button>}
+                        </div>
+                      </div>
+                    ))}
+                    {suppliers.length === 0 && <p className="px-6 py-4 text-xs text-slate-400 italic">Sin proveedores registrados.</p>}
+                  </div>
+                </Card>
+              </>
+            );
+          })()}
+
+          {/* Catálogo */}
+          {currentTab.id === 'catalog' && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {products.map(p => (
+                <Card key={p.id} className="p-5">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h3 className="font-bold text-slate-700">{p.nombre}</h3>
+                      <p className="text-2xl font-black mb-3">{fmt(p.precio)}</p>
+                    </div>
+                    {can(profile, 'delete') && <button onClick={() => deleteItem('products', p.id)} className="text-slate-200"><Trash2 size={16}/></button>}
+                  </div>
+                  <ul className="text-xs text-slate-500 space-y-1">
+                    {(p.materiales || []).map(m => (
+                      <li key={m.inventoryId}>{m.cantidad} × {inventory.find(i => i.id === m.inventoryId)?.item || 'Material eliminado'}</li>
+                    ))}
+                    {!(p.materiales || []).length && <li className="italic">Sin materiales asociados</li>}
+                  </ul>
+                </Card>
+              ))}
+              {products.length === 0 && <p className="p-10 text-center text-slate-400 italic col-span-full">No hay productos en el catálogo.</p>}
+            </div>
+          )}
+
+          {/* Importar / Exportar */}
+          {currentTab.id === 'data' && (() => {
+            const types = Object.keys(DATA_FIELDS).filter(t => t !== 'expenses' || can(profile, 'viewFinance'));
+            return (
+              <>
+                <Card className="p-6 space-y-4">
+                  <h3 className="font-bold flex items-center gap-2"><Download size={18} /> Exportar</h3>
+                  <div className="flex flex-wrap gap-2 items-center text-sm">
+                    <span className="text-slate-500">Desde</span>
+                    <input type="date" className="p-2 border rounded-lg bg-slate-50" value={exportRange.desde} onChange={e => setExportRange({ ...exportRange, desde: e.target.value })} />
+                    <span className="text-slate-500">hasta</span>
+                    <input type="date" className="p-2 border rounded-lg bg-slate-50" value={exportRange.hasta} onChange={e => setExportRange({ ...exportRange, hasta: e.target.value })} />
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    {types.map(t => (
+                      <div key={t} className="border rounded-lg p-3 flex items-center justify-between">
+                        <span className="font-medium text-sm">{DATA_LABELS[t]}</span>
+                        <div className="flex gap-1">
+                          <Button variant="secondary" className="text-xs px-2 py-1" onClick={() => exportRecords(t, 'csv')}>CSV</Button>
+                          <Button variant="secondary" className="text-xs px-2 py-1" onClick={() => exportRecords(t, 'xlsx')}>XLSX</Button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </Card>
+                <ImportWizard types={types} existing={{ orders, expenses, inventory }} locale={money.locale} onImport={importRecords} />
+              </>
+            );
+          })()}
+
+          {/* Historial */}
+          {currentTab.id === 'history' && (() => {
+            const entries = activity.filter(a =>
+              (!historyFilter.type || a.type === historyFilter.type) &&
+              (!historyFilter.docId || a.docId === historyFilter.docId)
+            );
+            const items = [...new Map(
+              activity.filter(a => a.type === historyFilter.type).map(a => [a.docId, a.label])
+            )];
+            // Los importes se guardan en centavos; pedidos y pagos pueden tener su propia moneda
+            const formatFor = (a) => {
+              const record = ({ orders, payments }[a.type] || []).find(d => d.id === a.docId);
+              return { format: cents => fmt(cents, record?.moneda) };
+            };
+            return (
+              <Card className="overflow-hidden">
+                <div className="p-4 border-b flex flex-wrap gap-2">
+                  <select value={historyFilter.type} onChange={e => setHistoryFilter({ type: e.target.value, docId: '' })} className="text-sm border rounded-lg p-2 bg-slate-50">
+                    <option value="">Todos los registros</option>
+                    {Object.entries(ENTITY_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  {historyFilter.type && (
+                    <select value={historyFilter.docId} onChange={e => setHistoryFilter({ ...historyFilter, docId: e.target.value })} className="text-sm border rounded-lg p-2 bg-slate-50">
+                      <option value="">Todos</option>
+                      {items.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                  )}
+                </div>
+                <div className="divide-y">
+                  {entries.map(a => (
+                    <div key={a.id} className="p-4 text-sm">
+                      <div className="flex justify-between gap-4">
+                        <p><span className="font-bold">{a.by?.email}</span> {ACTION_LABELS[a.action]?.toLowerCase()} {ENTITY_LABELS[a.type]?.toLowerCase()} <span className="font-medium">{a.label}</span></p>
+                        <span className="text-xs text-slate-400 whitespace-nowrap">{new Date(a.at).toLocaleString()}</span>
+                      </div>
+                      {a.action === 'update' && a.before && a.after && (
+                        <ul className="mt-1 text-xs text-slate-500">
+                          {Object.keys(a.after).filter(k => !sameValue(a.before[k], a.after[k])).map(k => (
+                            <li key={k}>{k}: <span className="line-through">{describeValue(k, a.before[k], formatFor(a))}</span> → <span className="font-bold">{describeValue(k, a.after[k], formatFor(a))}</span></li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  ))}
+                  {entries.length === 0 && <p className="p-10 text-center text-slate-400 italic">Sin actividad registrada.</p>}
+                </div>
+              </Card>
+            );
+          })()}
+
+          {/* Papelera */}
+          {currentTab.id === 'bin' && (
+            <Card className="overflow-hidden divide-y">
+              {Object.entries(bin).flatMap(([type, list]) => list.map(d => (
+                <div key={`${type}-${d.id}`} className="p-4 flex justify-between items-center text-sm">
+                  <div>
+                    <p className="font-bold">{describeItem(type, d)}</p>
+                    <p className="text-xs text-slate-400">{ENTITY_LABELS[type]} · eliminado {new Date(d.deletedAt).toLocaleString()} por {d.deletedBy?.email}</p>
+                  </div>
+                  <div className="flex gap-2">
+                    <Button variant="secondary" className="text-xs px-3" icon={ArchiveRestore} onClick={() => restoreItem(type, d.id)}>Restaurar</Button>
+                    <Button variant="danger" className="text-xs px-3" icon={Trash2} onClick={() => purgeItem(type, d.id)}>Eliminar</Button>
+                  </div>
+                </div>
+              )))}
+              {Object.values(bin).every(list => list.length === 0) && <p className="p-10 text-center text-slate-400 italic">La papelera está vacía.</p>}
+            </Card>
+          )}
+
+          {/* Ajustes */}
+          {currentTab.id === 'settings' && (
+            <>
+              <StudioSettingsForm key={studio.updatedAt || 'nuevo'} studio={studio} onSave={saveStudio} />
+              {legacyAmountDocs.length > 0 && !profile.readOnly && (
+                <Card className="p-6 max-w-lg space-y-3">
+                  <h3 className="font-bold">Importes en centavos</h3>
+                  <p className="text-sm text-slate-500">
+                    {legacyAmountDocs.length} documentos guardados antes del cambio tienen sus importes en unidades. La app ya los muestra bien;
+                    conviértelos para que el orden por importe en los listados sea correcto.
+                  </p>
+                  <Button variant="secondary" onClick={migrateAmounts}>Convertir importes</Button>
+                </Card>
+              )}
+              <NotificationSettingsForm key={notificationSettings.updatedAt || 'nuevo'} settings={notificationSettings} onSave={saveNotificationSettings} />
+            </>
+          )}
+
+          {/* Sedes y temporadas */}
+          {currentTab.id === 'workspaces' && (() => {
+            const totals = workspaceSummary || {};
+            const overall = overallTotals(totals);
+            return (
+              <>
+                <Card className="overflow-hidden">
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                      <thead className="bg-slate-50 border-b">
+                        <tr>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Espacio</th>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Pedidos</th>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Ventas</th>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Por cobrar</th>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Gastos</th>
+                          <th className="px-4 py-3 font-bold text-slate-500 uppercase">Balance</th>
+                          <th className="px-4 py-3"></th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y">
+                        {workspaces.map(w => {
+                          const t = totals[w.id];
+                          return (
+                            <tr key={w.id} className={w.id === activeWorkspace.id ? 'bg-blue-50/40' : ''}>
+                              <td className="px-4 py-3">
+                                <p className="font-medium">{workspaceLabel(w)}</p>
+                                <p className="text-[10px] text-slate-400">
+                                  {w.estado === 'cerrada' ? `Cerrada${w.siguiente ? ` → ${workspaceLabel(workspaces.find(x => x.id === w.siguiente))}` : ''}` : 'Abierta'}
+                                </p>
+                              </td>
+                              <td className="px-4 py-3">{t ? t.pedidos : '…'}</td>
+                              <td className="px-4 py-3">{t ? fmt(t.ventas) : '…'}</td>
+                              <td className="px-4 py-3 text-amber-600 font-bold">{t ? fmt(t.saldo) : '…'}</td>
+                              <td className="px-4 py-3 text-red-600">{t ? fmt(t.gastos) : '…'}</td>
+                              <td className="px-4 py-3 font-bold">{t ? fmt(t.balance) : '…'}</td>
+                              <td className="px-4 py-3 text-right whitespace-nowrap">
+                                {w.estado === 'cerrada'
+                                  ? <button onClick={() => reopenSeason(w)} className="text-xs font-bold text-slate-400 hover:text-blue-600">Reabrir</button>
+                                  : <button onClick={() => { setClosingWorkspace({ source: w, targetId: '', sede: w.sede || 'Principal', temporada: /^\d+$/.test(w.temporada || '') ? String(Number(w.temporada) + 1) : '', saldos: true, inventario: true }); setIsModalOpen('closeSeason'); }} className="text-xs font-bold text-slate-400 hover:text-red-600">Cerrar temporada</button>}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                      {workspaceSummary && (
+                        <tfoot className="bg-slate-50 border-t font-bold">
+                          <tr>
+                            <td className="px-4 py-3" title="Los saldos trasladados entre temporadas se cuentan una sola vez">Total</td>
+                            <td className="px-4 py-3">{overall.pedidos || 0}</td>
+                            <td className="px-4 py-3">{fmt(overall.ventas || 0)}</td>
+                            <td className="px-4 py-3 text-amber-600">{fmt(overall.saldo || 0)}</td>
+                            <td className="px-4 py-3 text-red-600">{fmt(overall.gastos || 0)}</td>
+                            <td className="px-4 py-3">{fmt(overall.balance || 0)}</td>
+                            <td className="px-4 py-3 text-right"><button onClick={loadWorkspaceSummary} className="text-xs text-slate-400 hover:text-blue-600">Actualizar</button></td>
+                          </tr>
+                        </tfoot>
+                      )}
+                    </table>
+                  </div>
+                  <p className="px-6 py-3 text-[11px] text-slate-400 border-t">Los saldos trasladados al cerrar una temporada aparecen también en la siguiente.</p>
+                </Card>
+                <Card className="p-6 space-y-3 max-w-md">
+                  <h3 className="font-bold">Nuevo espacio</h3>
+                  <div className="grid grid-cols-2 gap-2">
+                    <input className="w-full p-2 border rounded-lg bg-slate-50 text-sm" placeholder="Sede (ej. Sucursal Norte)" value={workspaceForm.sede} onChange={e => setWorkspaceForm({ ...workspaceForm, sede: e.target.value })} />
+                    <input className="w-full p-2 border rounded-lg bg-slate-50 text-sm" placeholder="Temporada" value={workspaceForm.temporada} onChange={e => setWorkspaceForm({ ...workspaceForm, temporada: e.target.value })} />
+                  </div>
+                  <Button className="w-full" icon={Plus} onClick={addWorkspace}>Crear espacio</Button>
+                </Card>
+              </>
+            );
+          })()}
+
+          {/* Equipo */}
+          {currentTab.id === 'staff' && (
+            <Card className="overflow-hidden">
+              <table className="w-full text-left text-sm">
+                <thead className="bg-slate-50 border-b">
+                  <tr>
+                    <th className="px-4 py-3 font-bold text-slate-500 uppercase">Usuario</th>
+                    <th className="px-4 py-3 font-bold text-slate-500 uppercase">Rol</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {staff.map(s => (
+                    <tr key={s.id}>
+                      <td className="px-4 py-3 font-medium">{s.email}</td>
+                      <td className="px-4 py-3">
+                        <select
+                          value={s.rol || ''}
+                          disabled={s.id === user.uid}
+                          onChange={(e) => updateStaffRole(s.id, e.target.value)}
+                          className="text-[11px] font-bold border rounded p-1"
+                        >
+                          <option value="">Sin acceso</option>
+                          {Object.entries(ROLES).map(([key, r]) => <option key={key} value={key}>{r.label}</option>)}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="p-4 text-xs text-slate-400 border-t">Las cuentas se crean en Firebase Authentication; aparecen aquí tras su primer inicio de sesión. La primera cuenta de la instalación queda como administración.</p>
+            </Card>
+          )}
         </div>
       </main>
 
       {/* Navegación móvil */}
-      <nav className="md:hidden fixed bottom-0 left-0 right-0 bg-white border-t flex justify-around p-3 z-40">
-        <button onClick={() => setActiveTab('dashboard')} className={`p-2 ${activeTab === 'dashboard' ? 'text-blue-600' : 'text-slate-400'}`}><LayoutDashboard size={20} /></button>
-        <button onClick={() => setActiveTab('orders')} className={`p-2 ${activeTab === 'orders' ? 'text-blue-600' : 'text-slate-400'}`}><ShoppingBag size={20} /></button>
-        <button onClick={() => setActiveTab('finance')} className={`p-2 ${activeTab === 'finance' ? 'text-blue-600' : 'text-slate-400'}`}><DollarSign size={20} /></button>
-        <button onClick={() => setActiveTab('inventory')} className={`p-2 ${activeTab === 'inventory' ? 'text-blue-600' : 'text-slate-400'}`}><Package size={20} /></button>
+      {mobileMenuOpen && (
+        <div className="md:hidden fixed inset-0 z-40 bg-slate-900/30" onClick={() => setMobileMenuOpen(false)}>
+          <div className="absolute bottom-16 left-0 right-0 bg-white border-t rounded-t-2xl p-4 grid grid-cols-4 gap-2" onClick={e => e.stopPropagation()}>
+            {moreTabs.map(t => (
+              <button key={t.id} onClick={() => { setActiveTab(t.id); setMobileMenuOpen(false); }} className={`flex flex-col items-center gap-1 p-2 rounded-lg text-[10px] font-bold ${currentTab.id === t.id ? 'bg-blue-50 text-blue-600' : 'text-slate-500'}`}>
+                <t.icon size={20} />
+                {t.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      <nav className="md:hidden fixed bottom-0 left-0 right-0 bg-white border-t flex justify-around p-2 z-40">
+        {mobileTabs.map(t => (
+          <button key={t.id} onClick={() => { setActiveTab(t.id); setMobileMenuOpen(false); }} className={`flex flex-col items-center gap-0.5 p-1 text-[10px] font-bold ${currentTab.id === t.id ? 'text-blue-600' : 'text-slate-400'}`}><t.icon size={20} />{t.label}</button>
+        ))}
+        {moreTabs.length > 0 && (
+          <button onClick={() => setMobileMenuOpen(open => !open)} className={`flex flex-col items-center gap-0.5 p-1 text-[10px] font-bold ${mobileMenuOpen || moreTabs.some(t => t.id === currentTab.id) ? 'text-blue-600' : 'text-slate-400'}`}><MoreHorizontal size={20} />Más</button>
+        )}
       </nav>
 
+      {/* Avisos por WhatsApp: cada chat se abre con un clic propio para que el navegador no lo bloquee */}
+      {outbox.length > 0 && (
+        <Card className="fixed bottom-36 md:bottom-6 right-4 z-40 w-72 p-3 space-y-2 shadow-xl">
+          <p className="flex justify-between items-center text-xs font-bold text-slate-500 uppercase">
+            Avisos por abrir ({outbox.length})
+            <button onClick={() => setOutbox([])} className="text-slate-400 hover:text-slate-600" title="Descartar todos"><X size={14} /></button>
+          </p>
+          <div className="max-h-48 overflow-y-auto divide-y text-xs">
+            {outbox.map(item => (
+              <div key={item.key} className="flex justify-between items-center gap-2 py-1.5">
+                <span className="truncate">{item.order.cliente} · {item.evento === REMINDER_EVENT ? 'Recordatorio' : item.evento}</span>
+                <span className="flex gap-2 shrink-0">
+                  <a href={item.url} target="_blank" rel="noopener noreferrer" onClick={() => openOutboxItem(item)} className="font-bold text-blue-600">Abrir chat</a>
+                  <button onClick={() => setOutbox(list => list.filter(m => m.key !== item.key))} className="text-slate-300 hover:text-red-600" title="Descartar"><X size={12} /></button>
+                </span>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      {/* Aviso con deshacer */}
+      {toast && (
+        <div className="fixed bottom-20 md:bottom-6 left-1/2 -translate-x-1/2 z-50 bg-slate-900 text-white text-sm rounded-lg shadow-xl px-4 py-3 flex items-center gap-4">
+          <span>{toast.message}</span>
+          {toast.undo && (
+            <button onClick={() => { toast.undo(); setToast(null); }} className="flex items-center gap-1 font-bold text-blue-300 hover:text-blue-200">
+              <Undo2 size={14} /> Deshacer
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Modales */}
       {isModalOpen && (
         <div className="fixed inset-0 bg-slate-900/60 backdrop-blur-sm z-50 flex items-center justify-center p-4">
           <Card className="w-full max-w-sm p-6 shadow-2xl">
-            <h2 className="text-lg font-bold mb-4">Añadir {isModalOpen}</h2>
+            <h2 className="text-lg font-bold mb-4">{(editing && EDIT_TITLES[isModalOpen]) || MODAL_TITLES[isModalOpen] || `Añadir ${isModalOpen}`}</h2>
             <div className="space-y-4">
               {isModalOpen === 'order' && (
                 <>
-                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Cliente" onChange={e => setOrderForm({...orderForm, cliente: e.target.value})} />
+                  <Field label="Cliente" error={formErrors.cliente}>
+                    <CustomerPicker
+                      customers={customers}
+                      value={customers.find(c => c.id === orderForm.customerId) || (orderForm.cliente ? { nombre: orderForm.cliente } : null)}
+                      onSelect={c => setOrderForm(f => ({...f, customerId: c?.id || null, cliente: c?.nombre || ''}))}
+                      onCreate={createCustomer}
+                    />
+                  </Field>
+                  <Field label="Descripción" error={formErrors.descripcion}>
+                    <input className={inputClass(formErrors.descripcion)} placeholder="Ej. Anuario promoción 2025" value={orderForm.descripcion} onChange={e => setOrderForm({...orderForm, descripcion: e.target.value})} />
+                  </Field>
+                  <Field label="Moneda" error={formErrors.moneda}>
+                    <select className={inputClass(formErrors.moneda)} value={orderForm.moneda} disabled={editing && ((paymentsByOrder[editing.record.id] || []).length > 0 || Number(editing.record.precioAlumno) > 0)} onChange={e => changeOrderCurrency(e.target.value)}>
+                      {Object.entries(CURRENCIES).map(([code, nombre]) => <option key={code} value={code}>{code} · {nombre}</option>)}
+                    </select>
+                  </Field>
+                  <LineItemsEditor items={orderForm.items} products={products} moneda={orderForm.moneda} money={money} onChange={items => setOrderForm({...orderForm, items})} />
                   <div className="grid grid-cols-2 gap-2">
-                    <input className="w-full p-2 border rounded-lg bg-slate-50" type="number" placeholder="Total" onChange={e => setOrderForm({...orderForm, total: Number(e.target.value)})} />
-                    <input className="w-full p-2 border rounded-lg bg-slate-50" type="number" placeholder="Abono" onChange={e => setOrderForm({...orderForm, adelanto: Number(e.target.value)})} />
+                    <Field label="Total" error={formErrors.total}>
+                      {editing && rosterOrderTotal(studentsByOrder[editing.record.id] || [], editing.record) !== null
+                        ? <p className="p-2 text-sm font-bold">{fmt(editing.record.total, orderForm.moneda)} <span className="font-normal text-xs text-slate-400">según la lista de alumnos</span></p>
+                        : orderForm.items.length > 0
+                        ? <p className="p-2 text-sm font-bold">{fmt(lineItemsTotal(orderForm.items), orderForm.moneda)}</p>
+                        : <input className={inputClass(formErrors.total)} type="number" min="0" value={orderForm.total} onChange={e => setOrderForm({...orderForm, total: e.target.value})} />}
+                    </Field>
+                    {!editing && (
+                      <Field label="Abono" error={formErrors.adelanto}>
+                        <input className={inputClass(formErrors.adelanto)} type="number" min="0" value={orderForm.adelanto} onChange={e => setOrderForm({...orderForm, adelanto: e.target.value})} />
+                      </Field>
+                    )}
                   </div>
-                  <Button className="w-full" onClick={() => addData('orders', orderForm)}>Guardar</Button>
+                  <Field label="Estado" error={formErrors.estado}>
+                    <select className={inputClass(formErrors.estado)} value={orderForm.estado} onChange={e => setOrderForm({...orderForm, estado: e.target.value})}>
+                      {ORDER_STATES.map(st => <option key={st} value={st}>{st}</option>)}
+                    </select>
+                  </Field>
+                  <Button className="w-full" onClick={() => saveForm('order')}>Guardar</Button>
                 </>
               )}
               {isModalOpen === 'expense' && (
                 <>
-                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Concepto" onChange={e => setExpenseForm({...expenseForm, concepto: e.target.value})} />
-                  <input className="w-full p-2 border rounded-lg bg-slate-50" type="number" placeholder="Monto" onChange={e => setExpenseForm({...expenseForm, monto: Number(e.target.value)})} />
-                  <Button className="w-full" onClick={() => addData('expenses', expenseForm)}>Guardar</Button>
+                  <Field label="Concepto" error={formErrors.concepto}>
+                    <input className={inputClass(formErrors.concepto)} value={expenseForm.concepto} onChange={e => setExpenseForm({...expenseForm, concepto: e.target.value})} />
+                  </Field>
+                  <div className="grid grid-cols-2 gap-2">
+                    <Field label="Monto" error={formErrors.monto}>
+                      <input className={inputClass(formErrors.monto)} type="number" min="0" value={expenseForm.monto} onChange={e => setExpenseForm({...expenseForm, monto: e.target.value})} />
+                    </Field>
+                    <Field label="Fecha" error={formErrors.fecha}>
+                      <input className={inputClass(formErrors.fecha)} type="date" value={expenseForm.fecha} onChange={e => setExpenseForm({...expenseForm, fecha: e.target.value})} />
+                    </Field>
+                  </div>
+                  <Field label="Categoría" error={formErrors.categoria}>
+                    <select className={inputClass(formErrors.categoria)} value={expenseForm.categoria} onChange={e => setExpenseForm({...expenseForm, categoria: e.target.value})}>
+                      {EXPENSE_CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  </Field>
+                  <Field label="Pedido">
+                    <select className={inputClass()} value={expenseForm.orderId || ''} onChange={e => setExpenseForm({...expenseForm, orderId: e.target.value || null})}>
+                      <option value="">Gasto general (sin pedido)</option>
+                      {orders.map(o => <option key={o.id} value={o.id}>{o.cliente}{o.descripcion ? ` · ${o.descripcion}` : ''}</option>)}
+                    </select>
+                  </Field>
+                  <Button className="w-full" onClick={() => saveForm('expense')}>Guardar</Button>
                 </>
               )}
               {isModalOpen === 'inventory' && (
                 <>
-                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Nombre" onChange={e => setInventoryForm({...inventoryForm, item: e.target.value})} />
-                  <input className="w-full p-2 border rounded-lg bg-slate-50" type="number" placeholder="Stock" onChange={e => setInventoryForm({...inventoryForm, stock: Number(e.target.value)})} />
-                  <Button className="w-full" onClick={() => addData('inventory', inventoryForm)}>Guardar</Button>
+                  <Field label="Nombre" error={formErrors.item}>
+                    <input className={inputClass(formErrors.item)} value={inventoryForm.item} onChange={e => setInventoryForm({...inventoryForm, item: e.target.value})} />
+                  </Field>
+                  <div className="grid grid-cols-2 gap-2">
+                    <Field label="Stock" error={formErrors.stock}>
+                      <input className={inputClass(formErrors.stock)} type="number" min="0" step="1" value={inventoryForm.stock} onChange={e => setInventoryForm({...inventoryForm, stock: e.target.value})} />
+                    </Field>
+                    <Field label="Mínimo" error={formErrors.minimo}>
+                      <input className={inputClass(formErrors.minimo)} type="number" min="0" step="1" value={inventoryForm.minimo} onChange={e => setInventoryForm({...inventoryForm, minimo: e.target.value})} />
+                    </Field>
+                    <Field label="Costo unitario" error={formErrors.costo}>
+                      <input className={inputClass(formErrors.costo)} type="number" min="0" value={inventoryForm.costo} onChange={e => setInventoryForm({...inventoryForm, costo: e.target.value})} />
+                    </Field>
+                    <Field label="Proveedor">
+                      <select className={inputClass()} value={inventoryForm.proveedorId || ''} onChange={e => setInventoryForm({...inventoryForm, proveedorId: e.target.value || null})}>
+                        <option value="">Sin proveedor</option>
+                        {suppliers.map(s => <option key={s.id} value={s.id}>{s.nombre}</option>)}
+                      </select>
+                    </Field>
+                  </div>
+                  <Button className="w-full" onClick={() => saveForm('inventory')}>Guardar</Button>
+                </>
+              )}
+              {isModalOpen === 'closeSeason' && closingWorkspace && (
+                <>
+                  <p className="text-sm text-slate-500">
+                    <span className="font-bold text-slate-700">{workspaceLabel(closingWorkspace.source)}</span> quedará en solo lectura. Elige a dónde pasan los saldos pendientes y el inventario.
+                  </p>
+                  <select className="w-full p-2 border rounded-lg bg-slate-50" value={closingWorkspace.targetId} onChange={e => setClosingWorkspace({ ...closingWorkspace, targetId: e.target.value })}>
+                    <option value="">Nuevo espacio</option>
+                    {workspaces.filter(w => w.id !== closingWorkspace.source.id && w.estado !== 'cerrada').map(w => <option key={w.id} value={w.id}>{workspaceLabel(w)}</option>)}
+                  </select>
+                  {!closingWorkspace.targetId && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Sede" value={closingWorkspace.sede} onChange={e => setClosingWorkspace({ ...closingWorkspace, sede: e.target.value })} />
+                      <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Temporada" value={closingWorkspace.temporada} onChange={e => setClosingWorkspace({ ...closingWorkspace, temporada: e.target.value })} />
+                    </div>
+                  )}
+                  <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={closingWorkspace.saldos} onChange={e => setClosingWorkspace({ ...closingWorkspace, saldos: e.target.checked })} /> Trasladar saldos pendientes</label>
+                  <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={closingWorkspace.inventario} onChange={e => setClosingWorkspace({ ...closingWorkspace, inventario: e.target.checked })} /> Trasladar inventario</label>
+                  <p className="text-[11px] text-slate-400">Clientes y catálogo se copian siempre.</p>
+                  <Button variant="danger" className="w-full" icon={Lock} onClick={() => (closingWorkspace.targetId || (closingWorkspace.sede.trim() && closingWorkspace.temporada.trim())) && closeSeason(closingWorkspace)}>Cerrar temporada</Button>
+                </>
+              )}
+              {isModalOpen === 'messages' && (() => {
+                const order = orders.find(o => o.id === messageOrderId);
+                if (!order) return null;
+                const saldo = (Number(order.total) || 0) - sumPayments(paymentsByOrder[order.id]);
+                const log = notifications.filter(n => n.orderId === order.id);
+                return (
+                  <>
+                    <div className="text-sm">
+                      <p className="font-bold">{order.cliente}</p>
+                      <p className="text-slate-500">Vía {NOTIFICATION_PROVIDERS[notificationSettings.proveedor]?.label}</p>
+                    </div>
+                    <div className="max-h-48 overflow-y-auto divide-y border rounded-lg">
+                      {log.map(n => (
+                        <div key={n.id} className="p-2 text-xs">
+                          <p className="flex justify-between">
+                            <span className="font-bold">{n.evento === REMINDER_EVENT ? 'Recordatorio de saldo' : n.evento}</span>
+                            <span className={`font-bold ${NOTIFICATION_STATUS[n.estado]?.style || ''}`}>{NOTIFICATION_STATUS[n.estado]?.label || n.estado}</span>
+                          </p>
+                          <p className="text-slate-400">{new Date(n.at).toLocaleString()} · {n.to || 'sin destinatario'} · {n.createdBy?.email}</p>
+                          {n.detalle && <p className="text-slate-400 italic">{n.detalle}</p>}
+                          {UNCONFIRMED_STATES.includes(n.estado) && can(profile, 'updateStatus') && (
+                            <p className="flex gap-3 mt-1">
+                              <button onClick={() => confirmNotification(n, true)} className="font-bold text-emerald-600">Se envió</button>
+                              <button onClick={() => confirmNotification(n, false)} className="font-bold text-slate-400 hover:text-red-600">No se envió</button>
+                            </p>
+                          )}
+                        </div>
+                      ))}
+                      {log.length === 0 && <p className="p-3 text-xs text-slate-400 italic">Sin avisos enviados.</p>}
+                    </div>
+                    {can(profile, 'updateStatus') && (
+                      <div className="grid grid-cols-2 gap-2">
+                        <Button variant="secondary" className="text-sm" icon={Send} onClick={() => notifyOrder(order, order.estado)}>Aviso de estado</Button>
+                        {saldo > 0 && <Button variant="secondary" className="text-sm" icon={Send} onClick={() => notifyOrder(order, REMINDER_EVENT)}>Recordar saldo</Button>}
+                      </div>
+                    )}
+                  </>
+                );
+              })()}
+              {isModalOpen === 'sync' && (
+                <>
+                  <div className="text-sm space-y-1">
+                    <p className="flex items-center gap-2 font-bold">
+                      {online ? <><Wifi size={16} className="text-emerald-600" /> En línea</> : <><WifiOff size={16} className="text-amber-600" /> Sin conexión</>}
+                    </p>
+                    {isLocalMode ? (
+                      <p className="text-slate-500">Modo local: los datos se guardan solo en este navegador y no se sincronizan con otros equipos.</p>
+                    ) : (
+                      <>
+                        <p className="text-slate-500">
+                          {pendingCount > 0 ? `${pendingCount} cambios pendientes de subir` : 'Todos los cambios están guardados en el servidor'}
+                        </p>
+                        <p className="text-slate-500">Última sincronización: {lastSync ? new Date(lastSync).toLocaleString() : 'nunca'}</p>
+                      </>
+                    )}
+                    {!online && <p className="text-xs text-slate-400">Puedes seguir trabajando; los cambios se enviarán al recuperar la señal.</p>}
+                  </div>
+                  {conflicts.length > 0 && (
+                    <div className="space-y-3">
+                      <p className="text-xs font-bold text-red-600 uppercase">Ediciones en conflicto</p>
+                      {conflicts.map(c => {
+                        const order = orders.find(o => o.id === c.docId);
+                        const show = (v) => describeValue(c.field, v, { format: cents => fmt(cents, order?.moneda) });
+                        return (
+                          <div key={c.id} className="border border-red-100 rounded-lg p-3 text-xs space-y-2">
+                            <p><span className="font-bold">{c.label}</span> · campo <span className="font-mono">{c.field}</span> · valor actual <span className="font-bold">{show(order?.[c.field])}</span></p>
+                            {c.edits.map(e => (
+                              <div key={e.id} className="flex justify-between items-center gap-2">
+                                <span>{e.by?.email} ({new Date(e.at).toLocaleString()}): <span className="font-bold">{show(e.after[c.field])}</span></span>
+                                {can(profile, 'edit') && <button onClick={() => resolveConflict(c, e.after[c.field] ?? null)} className="text-blue-600 font-bold whitespace-nowrap">Usar este</button>}
+                              </div>
+                            ))}
+                            {can(profile, 'edit') && <button onClick={() => resolveConflict(c)} className="text-slate-400 hover:text-slate-600">Mantener valor actual</button>}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                </>
+              )}
+              {isModalOpen === 'orderCard' && (() => {
+                const order = orders.find(o => o.id === cardOrderId);
+                if (!order) return null;
+                const durations = stageDurations(order);
+                return (
+                  <>
+                    <div className="text-sm">
+                      <p className="font-bold">{order.cliente}</p>
+                      <Badge status={order.estado}>{order.estado}</Badge>
+                    </div>
+                    <label className="block text-xs font-bold text-slate-500 uppercase">
+                      Fecha de entrega
+                      <input className="mt-1 w-full p-2 border rounded-lg bg-slate-50 font-normal normal-case" type="date" disabled={!can(profile, 'edit')} value={order.fechaEntrega || ''} onChange={e => updateOrderPlanning(order, { fechaEntrega: e.target.value || null })} />
+                    </label>
+                    <div>
+                      <p className="text-xs font-bold text-slate-500 uppercase mb-1">Agenda</p>
+                      <div className="space-y-1">
+                        {sortRecords(order.agenda || [], 'fecha', 'asc').map(e => {
+                          const done = eventDone(e, order);
+                          return (
+                            <div key={e.id} className="flex items-center gap-2 text-xs">
+                              <input type="checkbox" checked={done} disabled={!can(profile, 'edit') || (done && !e.hecho)} onChange={() => updateAgendaEvent(order, e.id, { hecho: !e.hecho })} title={done && !e.hecho ? `Cumplido al pasar a '${EVENT_TYPES[e.tipo].cumplidoEn}'` : ''} />
+                              <span className={`flex-1 ${isOverdue({ ...e, done }) ? 'text-red-600 font-bold' : done ? 'text-slate-400 line-through' : ''}`}>
+                                {EVENT_TYPES[e.tipo]?.label} · {e.fecha}{e.hora && ` ${e.hora}`}
+                                {e.nota && <span className="font-normal text-slate-400"> · {e.nota}</span>}
+                              </span>
+                              {can(profile, 'edit') && <button onClick={() => removeAgendaEvent(order, e.id)} className="text-slate-300 hover:text-red-500"><X size={12} /></button>}
+                            </div>
+                          );
+                        })}
+                        {!(order.agenda || []).length && <p className="text-xs text-slate-400 italic">Sin sesiones ni plazos agendados.</p>}
+                      </div>
+                      {can(profile, 'edit') && (
+                        <div className="grid grid-cols-2 gap-2 mt-2">
+                          <select className="col-span-2 p-2 border rounded-lg bg-slate-50 text-sm" value={agendaForm.tipo} onChange={e => setAgendaForm({...agendaForm, tipo: e.target.value})}>
+                            {AGENDA_TYPES.map(t => <option key={t} value={t}>{EVENT_TYPES[t].label}</option>)}
+                          </select>
+                          <input className="p-2 border rounded-lg bg-slate-50 text-sm" type="date" value={agendaForm.fecha} onChange={e => setAgendaForm({...agendaForm, fecha: e.target.value})} />
+                          <input className="p-2 border rounded-lg bg-slate-50 text-sm" type="time" value={agendaForm.hora} onChange={e => setAgendaForm({...agendaForm, hora: e.target.value})} />
+                          <input className="col-span-2 p-2 border rounded-lg bg-slate-50 text-sm" placeholder="Nota (lugar, contacto...)" value={agendaForm.nota} onChange={e => setAgendaForm({...agendaForm, nota: e.target.value})} />
+                          <Button variant="secondary" className="col-span-2 text-sm" icon={CalendarClock} onClick={() => addAgendaEvent(order)}>Agendar</Button>
+                        </div>
+                      )}
+                    </div>
+                    <label className="block text-xs font-bold text-slate-500 uppercase">
+                      Responsable
+                      <select className="mt-1 w-full p-2 border rounded-lg bg-slate-50 font-normal normal-case" disabled={!can(profile, 'edit')} value={order.asignado || ''} onChange={e => updateOrderPlanning(order, { asignado: e.target.value || null })}>
+                        <option value="">Sin asignar</option>
+                        {staff.filter(s => s.rol).map(s => <option key={s.id} value={s.id}>{s.email}</option>)}
+                      </select>
+                    </label>
+                    <div>
+                      <p className="text-xs font-bold text-slate-500 uppercase mb-1">Tiempo por etapa</p>
+                      <ul className="text-xs space-y-1">
+                        {ORDER_STATES.filter(e => durations[e] !== undefined).map(e => (
+                          <li key={e} className="flex justify-between"><span>{e}</span><span className="font-bold">{durations[e].toFixed(1)} d</span></li>
+                        ))}
+                      </ul>
+                    </div>
+                  </>
+                );
+              })()}
+              {isModalOpen === 'customer' && (
+                <>
+                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Colegio / razón social" value={customerForm.nombre} onChange={e => setCustomerForm({...customerForm, nombre: e.target.value})} />
+                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Persona de contacto" value={customerForm.contacto} onChange={e => setCustomerForm({...customerForm, contacto: e.target.value})} />
+                  <div className="grid grid-cols-2 gap-2">
+                    <input className="w-full p-2 border rounded-lg bg-slate-50" type="tel" placeholder="Teléfono" value={customerForm.telefono} onChange={e => setCustomerForm({...customerForm, telefono: e.target.value})} />
+                    <input className="w-full p-2 border rounded-lg bg-slate-50" type="email" placeholder="Correo" value={customerForm.email} onChange={e => setCustomerForm({...customerForm, email: e.target.value})} />
+                  </div>
+                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Dirección" value={customerForm.direccion} onChange={e => setCustomerForm({...customerForm, direccion: e.target.value})} />
+                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="ID tributario (RUC / NIT / RUT)" value={customerForm.idTributario} onChange={e => setCustomerForm({...customerForm, idTributario: e.target.value})} />
+                  <Button className="w-full" onClick={addCustomer}>Guardar</Button>
+                </>
+              )}
+              {isModalOpen === 'supplier' && (
+                <>
+                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Nombre / razón social" value={supplierForm.nombre} onChange={e => setSupplierForm({...supplierForm, nombre: e.target.value})} />
+                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Persona de contacto" value={supplierForm.contacto} onChange={e => setSupplierForm({...supplierForm, contacto: e.target.value})} />
+                  <div className="grid grid-cols-2 gap-2">
+                    <input className="w-full p-2 border rounded-lg bg-slate-50" type="tel" placeholder="Teléfono" value={supplierForm.telefono} onChange={e => setSupplierForm({...supplierForm, telefono: e.target.value})} />
+                    <input className="w-full p-2 border rounded-lg bg-slate-50" type="email" placeholder="Correo" value={supplierForm.email} onChange={e => setSupplierForm({...supplierForm, email: e.target.value})} />
+                  </div>
+                  <Button className="w-full" onClick={addSupplier}>Guardar</Button>
+                </>
+              )}
+              {isModalOpen === 'stock' && (() => {
+                const item = inventory.find(i => i.id === stockItemId);
+                if (!item) return null;
+                const movements = stockMovements.filter(m => m.inventoryId === item.id);
+                return (
+                  <>
+                    <div className="text-sm">
+                      <p className="font-bold">{item.item}</p>
+                      <p className="text-slate-500">Stock actual {item.stock}</p>
+                    </div>
+                    <div className="max-h-48 overflow-y-auto divide-y border rounded-lg">
+                      {movements.map(m => (
+                        <div key={m.id} className="p-2 flex justify-between items-center text-xs">
+                          <div>
+                            <p className="font-bold">{m.motivo}{m.nota && <span className="font-normal text-slate-500"> · {m.nota}</span>}</p>
+                            <p className="text-slate-400">{new Date(m.at).toLocaleString()} · {m.createdBy?.email}</p>
+                          </div>
+                          <span className={`font-bold ${m.delta >= 0 ? 'text-emerald-600' : 'text-red-600'}`}>{m.delta >= 0 ? '+' : ''}{m.delta}</span>
+                        </div>
+                      ))}
+                      {movements.length === 0 && <p className="p-3 text-xs text-slate-400 italic">Sin movimientos registrados.</p>}
+                    </div>
+                    {can(profile, 'updateStock') && (
+                      <>
+                        <div className="grid grid-cols-2 gap-2">
+                          <input className="w-full p-2 border rounded-lg bg-slate-50" type="number" placeholder="Cantidad (+/-)" value={stockForm.delta} onChange={e => setStockForm({...stockForm, delta: e.target.value})} />
+                          <select className="w-full p-2 border rounded-lg bg-slate-50" value={stockForm.motivo} onChange={e => setStockForm({...stockForm, motivo: e.target.value})}>
+                            {STOCK_REASONS.map(r => <option key={r} value={r}>{r}</option>)}
+                          </select>
+                        </div>
+                        <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Nota" value={stockForm.nota} onChange={e => setStockForm({...stockForm, nota: e.target.value})} />
+                        <Button className="w-full" onClick={() => {
+                          updateStock(item, Math.trunc(Number(stockForm.delta) || 0), stockForm.motivo, stockForm.nota.trim());
+                          setStockForm({ delta: '', motivo: STOCK_REASONS[0], nota: '' });
+                        }}>Registrar ajuste</Button>
+                      </>
+                    )}
+                  </>
+                );
+              })()}
+              {isModalOpen === 'product' && (
+                <>
+                  <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Nombre (ej. Anuario tapa dura 80 págs.)" value={productForm.nombre} onChange={e => setProductForm({...productForm, nombre: e.target.value})} />
+                  <input className="w-full p-2 border rounded-lg bg-slate-50" type="number" placeholder="Precio unitario" value={productForm.precio || ''} onChange={e => setProductForm({...productForm, precio: Number(e.target.value)})} />
+                  <MaterialsEditor materiales={productForm.materiales} inventory={inventory} onChange={materiales => setProductForm({...productForm, materiales})} />
+                  <Button className="w-full" onClick={addProduct}>Guardar</Button>
                 </>
               )}
-              <Button variant="ghost" className="w-full" onClick={() => setIsModalOpen(null)}>Cerrar</Button>
+              {isModalOpen === 'payment' && (() => {
+                const order = orders.find(o => o.id === paymentOrderId);
+                const ledger = paymentsByOrder[paymentOrderId] || [];
+                const pagado = sumPayments(ledger);
+                const moneda = orderCurrency(order, money);
+                const roster = studentsByOrder[paymentOrderId] || [];
+                return (
+                  <>
+                    <div className="text-sm">
+                      <p className="font-bold flex justify-between items-center">
+                        {order?.cliente}
+                        {roster.length > 0 && <button onClick={() => { setRosterOrderId(paymentOrderId); setActiveTab('orders'); closeModal(); }} className="text-xs text-blue-600 flex items-center gap-1"><GraduationCap size={12} /> Lista de alumnos</button>}
+                      </p>
+                      <p className="text-slate-500">Pagado {fmt(pagado, moneda)} de {fmt(order?.total, moneda)} · Saldo <span className="font-bold text-amber-600">{fmt((Number(order?.total) || 0) - pagado, moneda)}</span></p>
+                    </div>
+                    <div className="max-h-40 overflow-y-auto divide-y border rounded-lg">
+                      {ledger.map(p => (
+                        <div key={p.id} className="p-2 flex justify-between items-center text-xs">
+                          <div>
+                            <p className="font-bold">{p.fecha} · {p.metodo}{p.recibo && ` · Recibo ${p.recibo}`}</p>
+                            {p.studentId && <p className="text-slate-500">{roster.find(s => s.id === p.studentId)?.nombre || 'Alumno eliminado'}</p>}
+                            {p.nota && <p className="text-slate-400">{p.nota}</p>}
+                          </div>
+                          <div className="flex items-center gap-2">
+                            <span className="font-bold text-emerald-600">{fmt(p.monto, p.moneda || moneda)}</span>
+                            {!p.legacy && can(profile, 'create') && <button onClick={() => downloadDocument('receipt', order, p)} className="text-slate-300 hover:text-blue-600" title={p.comprobante ? `Recibo ${p.comprobante}` : 'Generar recibo (PDF)'}><FileText size={12}/></button>}
+                            {!p.legacy && can(profile, 'delete') && <button onClick={() => deleteItem('payments', p.id)} className="text-slate-300 hover:text-red-500"><Trash2 size={12}/></button>}
+                          </div>
+                        </div>
+                      ))}
+                      {ledger.length === 0 && <p className="p-3 text-xs text-slate-400 italic">Sin abonos registrados.</p>}
+                    </div>
+                    {can(profile, 'create') && (
+                      <>
+                        <div className="grid grid-cols-2 gap-2">
+                          <input className="w-full p-2 border rounded-lg bg-slate-50" type="date" value={paymentForm.fecha} onChange={e => setPaymentForm({...paymentForm, fecha: e.target.value})} />
+                          <input className="w-full p-2 border rounded-lg bg-slate-50" type="number" min="0" step="0.01" placeholder={`Monto (${moneda})`} value={paymentForm.monto || ''} onChange={e => setPaymentForm({...paymentForm, monto: e.target.value})} />
+                          <select className="w-full p-2 border rounded-lg bg-slate-50" value={paymentForm.metodo} onChange={e => setPaymentForm({...paymentForm, metodo: e.target.value})}>
+                            {PAYMENT_METHODS.map(m => <option key={m} value={m}>{m}</option>)}
+                          </select>
+                          <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="N° recibo" value={paymentForm.recibo} onChange={e => setPaymentForm({...paymentForm, recibo: e.target.value})} />
+                        </div>
+                        {moneda !== money.moneda && (
+                          <label className="flex items-center gap-2 text-xs text-slate-500">
+                            Tasa del día: 1 {moneda} =
+                            <input className="w-24 p-2 border rounded-lg bg-slate-50 text-sm" type="number" min="0" step="any" value={paymentForm.tasa} onChange={e => setPaymentForm({...paymentForm, tasa: e.target.value})} />
+                            {money.moneda}
+                          </label>
+                        )}
+                        {roster.length > 0 && (
+                          <select className="w-full p-2 border rounded-lg bg-slate-50" value={paymentForm.studentId} onChange={e => setPaymentForm({...paymentForm, studentId: e.target.value})}>
+                            <option value="">Abono del colegio (sin alumno)</option>
+                            {roster.map(s => <option key={s.id} value={s.id}>{s.nombre}{s.grado && ` · ${s.grado}`}</option>)}
+                          </select>
+                        )}
+                        <input className="w-full p-2 border rounded-lg bg-slate-50" placeholder="Nota" value={paymentForm.nota} onChange={e => setPaymentForm({...paymentForm, nota: e.target.value})} />
+                        <Button className="w-full" onClick={addPayment}>Registrar abono</Button>
+                      </>
+                    )}
+                  </>
+                );
+              })()}
+              <Button variant="ghost" className="w-full" onClick={closeModal}>Cerrar</Button>
             </div>
           </Card>
         </div>
@@ -0,0 +1,69 @@
+// Historial de cambios: comparación de valores y ediciones en conflicto
+import { EVENT_TYPES } from './calendar.js';
+
+// Campos de un pedido en los que se detectan ediciones simultáneas
+export const CONFLICT_FIELDS = ['estado', 'fechaEntrega', 'agenda', 'asignado', 'cliente', 'descripcion', 'total'];
+
+// Compara por valor: `agenda` es una lista y cada edición trae una copia nueva
+export const sameValue = (a, b) => a === b || JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Importes en centavos que el historial muestra con el formato de moneda
+const MONEY_VALUE_FIELDS = ['total', 'adelanto', 'monto', 'costo', 'precio', 'precioAlumno'];
+
+/**
+ * Texto legible del valor de un campo, para el historial y los conflictos.
+ * `format` recibe centavos y devuelve el importe en la moneda del registro;
+ * sin él los importes se muestran tal como están guardados.
+ */
+export const describeValue = (field, value, { format } = {}) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+  if (format && MONEY_VALUE_FIELDS.includes(field) && !isNaN(Number(value))) return format(Number(value));
+  if (field === 'agenda') {
+    if (!value.length) return 'Sin citas';
+    return value.map(e => `${EVENT_TYPES[e.tipo]?.label || e.tipo} ${e.fecha}${e.hora ? ` ${e.hora}` : ''}${e.hecho ? ' ✓' : ''}`).join(' · ');
+  }
+  if (field === 'items' || field === 'lineas') {
+    if (!value.length) return 'Sin líneas';
+    const price = field === 'items' ? 'precio' : 'costo';
+    return value.map(l => `${l.cantidad} × ${l.nombre || l.item || 'línea'}${format && l[price] != null ? ` a ${format(Number(l[price]))}` : ''}`).join(' · ');
+  }
+  if (Array.isArray(value)) return value.map(v => describeValue(null, v, { format })).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Detecta ediciones en conflicto sobre un mismo pedido a partir del historial:
+ * dos cambios de usuarios distintos que partieron del mismo valor anterior de
+ * un campo y lo dejaron distinto (típico de dos dispositivos editando sin
+ * conexión). Firestore conserva la última escritura que llegó al servidor.
+ */
+export const detectConflicts = (activity) => {
+  const byField = {};
+  activity
+    .filter(a => a.type === 'orders' && a.action === 'update' && a.before && a.after)
+    .forEach(a => {
+      CONFLICT_FIELDS.filter(f => f in a.after && !sameValue(a.before[f], a.after[f])).forEach(f => {
+        (byField[`${a.docId}|${f}`] = byField[`${a.docId}|${f}`] || []).push(a);
+      });
+    });
+  const conflicts = [];
+  Object.entries(byField).forEach(([key, entries]) => {
+    const [docId, field] = key.split('|');
+    const sorted = [...entries].sort((a, b) => (a.at || '').localeCompare(b.at || ''));
+    sorted.forEach((entry, idx) => {
+      const prev = sorted[idx - 1];
+      if (prev && prev.by?.uid !== entry.by?.uid && sameValue(prev.before[field], entry.before[field]) && !sameValue(prev.after[field], entry.after[field])) {
+        conflicts.push({ id: `${prev.id}_${entry.id}`, docId, field, label: entry.label, edits: [prev, entry] });
+      }
+    });
+  });
+  return conflicts;
+};
+
+// Conflictos aún no revisados sobre pedidos existentes (ver `conflictosResueltos`)
+export const pendingConflicts = (activity, orders) => detectConflicts(activity).filter(c => {
+  const order = orders.find(o => o.id === c.docId);
+  return order && !(order.conflictosResueltos || []).includes(c.id);
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { detectConflicts, pendingConflicts, describeValue, sameValue } from './activity.js';
+
+const ana = { uid: 'ana', email: 'ana@estudio.com' };
+const luis = { uid: 'luis', email: 'luis@estudio.com' };
+
+const edit = (id, by, at, before, after, docId = 'o1') => ({
+  id, type: 'orders', action: 'update', docId, label: 'Colegio San José', by, at,
+  before: { cliente: 'Colegio San José', ...before }, after: { cliente: 'Colegio San José', ...after }
+});
+
+describe('detectConflicts', () => {
+  it('detecta dos ediciones del mismo campo que partieron del mismo valor', () => {
+    const conflicts = detectConflicts([
+      edit('a1', ana, '2025-03-01T10:00:00Z', { fechaEntrega: '2025-03-20' }, { fechaEntrega: '2025-03-22' }),
+      edit('a2', luis, '2025-03-01T10:05:00Z', { fechaEntrega: '2025-03-20' }, { fechaEntrega: '2025-03-25' })
+    ]);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toMatchObject({ id: 'a1_a2', docId: 'o1', field: 'fechaEntrega' });
+    expect(conflicts[0].edits.map(e => e.id)).toEqual(['a1', 'a2']);
+  });
+
+  it('compara la agenda por contenido y no por referencia', () => {
+    const agenda = [{ id: 'e1', tipo: 'sesion', fecha: '2025-03-14', hora: '', hecho: false }];
+    expect(detectConflicts([
+      edit('a1', ana, '2025-03-01T10:00:00Z', { agenda: [...agenda] }, { agenda: [{ ...agenda[0], hora: '09:00' }] }),
+      edit('a2', luis, '2025-03-01T10:05:00Z', { agenda: [...agenda] }, { agenda: [{ ...agenda[0], hora: '09:00' }] })
+    ])).toEqual([]);
+    expect(detectConflicts([
+      edit('a1', ana, '2025-03-01T10:00:00Z', { agenda: [...agenda] }, { agenda: [{ ...agenda[0], hora: '09:00' }] }),
+      edit('a2', luis, '2025-03-01T10:05:00Z', { agenda: [...agenda] }, { agenda: [] })
+    ])).toHaveLength(1);
+  });
+
+  it('no marca conflicto si cada uno editó un campo distinto', () => {
+    expect(detectConflicts([
+      edit('a1', ana, '2025-03-01T10:00:00Z', { fechaEntrega: '2025-03-20' }, { fechaEntrega: '2025-03-22' }),
+      edit('a2', luis, '2025-03-01T10:05:00Z', { asignado: null }, { asignado: 'luis' })
+    ])).toEqual([]);
+  });
+
+  it('no marca conflicto en ediciones seguidas de la misma persona o que partieron del valor ya editado', () => {
+    expect(detectConflicts([
+      edit('a1', ana, '2025-03-01T10:00:00Z', { total: 10000 }, { total: 12000 }),
+      edit('a2', ana, '2025-03-01T10:05:00Z', { total: 10000 }, { total: 15000 })
+    ])).toEqual([]);
+    expect(detectConflicts([
+      edit('a1', ana, '2025-03-01T10:00:00Z', { total: 10000 }, { total: 12000 }),
+      edit('a2', luis, '2025-03-01T10:05:00Z', { total: 12000 }, { total: 15000 })
+    ])).toEqual([]);
+  });
+});
+
+describe('pendingConflicts', () => {
+  const activity = [
+    edit('a1', ana, '2025-03-01T10:00:00Z', { estado: 'Pendiente' }, { estado: 'En Diseño' }),
+    edit('a2', luis, '2025-03-01T10:05:00Z', { estado: 'Pendiente' }, { estado: 'Listo' })
+  ];
+
+  it('omite los conflictos ya resueltos y los de pedidos borrados', () => {
+    expect(pendingConflicts(activity, [{ id: 'o1' }])).toHaveLength(1);
+    expect(pendingConflicts(activity, [{ id: 'o1', conflictosResueltos: ['a1_a2'] }])).toEqual([]);
+    expect(pendingConflicts(activity, [])).toEqual([]);
+  });
+});
+
+describe('describeValue', () => {
+  it('resume la agenda y marca los valores vacíos', () => {
+    expect(describeValue('agenda', [
+      { tipo: 'sesion', fecha: '2025-03-14', hora: '09:30' },
+      { tipo: 'pruebas', fecha: '2025-03-18', hora: '', hecho: true }
+    ])).toBe('Sesión de fotos 2025-03-14 09:30 · Aprobación de pruebas 2025-03-18 ✓');
+    expect(describeValue('agenda', [])).toBe('Sin citas');
+    expect(describeValue('asignado', null)).toBe('—');
+  });
+
+  it('resume las líneas del pedido y muestra los booleanos como Sí/No', () => {
+    expect(describeValue('items', [
+      { nombre: 'Anuario', cantidad: 20, precio: 4500 },
+      { nombre: 'Foto grupal', cantidad: 2, precio: 800 }
+    ])).toBe('20 × Anuario · 2 × Foto grupal');
+    expect(describeValue('items', [])).toBe('Sin líneas');
+    expect(describeValue('entregado', true)).toBe('Sí');
+    expect(describeValue('entregado', false)).toBe('No');
+  });
+
+  it('formatea los importes en centavos con la moneda del registro', () => {
+    const format = (cents) => `$${(cents / 100).toFixed(2)}`;
+    expect(describeValue('total', 150000, { format })).toBe('$1500.00');
+    expect(describeValue('precioAlumno', 4500, { format })).toBe('$45.00');
+    expect(describeValue('items', [{ nombre: 'Anuario', cantidad: 2, precio: 4500 }], { format })).toBe('2 × Anuario a $45.00');
+    expect(describeValue('copias', 3, { format })).toBe('3');
+  });
+});
+
+describe('sameValue', () => {
+  it('compara listas y objetos por contenido', () => {
+    expect(sameValue([{ id: 'e1', hora: '09:00' }], [{ id: 'e1', hora: '09:00' }])).toBe(true);
+    expect(sameValue([{ id: 'e1', hora: '09:00' }], [{ id: 'e1', hora: '10:00' }])).toBe(false);
+    expect(sameValue(undefined, null)).toBe(true);
+  });
+});
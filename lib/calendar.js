@@ -0,0 +1,149 @@
+// Agenda de los pedidos, calendario y exportación iCalendar (.ics)
+import { ORDER_STATES } from './production.js';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Días completos transcurridos desde una fecha ISO (nunca negativo)
+export const daysBetween = (fromIso, to = new Date()) => Math.max(0, Math.floor((new Date(to) - new Date(fromIso)) / DAY_MS));
+
+/**
+ * Hitos agendados de cada pedido. La entrega usa `fechaEntrega` (la misma
+ * fecha del tablero de producción); los demás se guardan en `agenda` como
+ * { id, tipo, fecha, hora, nota, hecho }. Un hito queda cumplido al marcarlo
+ * o cuando el pedido alcanza el estado `cumplidoEn`.
+ */
+export const EVENT_TYPES = {
+  sesion: { label: 'Sesión de fotos', color: 'bg-sky-100 text-sky-700' },
+  pruebas: { label: 'Aprobación de pruebas', color: 'bg-blue-100 text-blue-700', cumplidoEn: 'En Impresión' },
+  imprenta: { label: 'Envío a imprenta', color: 'bg-purple-100 text-purple-700', cumplidoEn: 'En Impresión' },
+  entrega: { label: 'Entrega', color: 'bg-green-100 text-green-700', cumplidoEn: 'Entregado' }
+};
+
+// Tipos que se agendan en `agenda`; la entrega se fija con `fechaEntrega`
+export const AGENDA_TYPES = ['sesion', 'pruebas', 'imprenta'];
+
+export const eventDone = (event, order) => {
+  const cumplidoEn = EVENT_TYPES[event.tipo]?.cumplidoEn;
+  return Boolean(event.hecho) || Boolean(cumplidoEn && ORDER_STATES.indexOf(order.estado) >= ORDER_STATES.indexOf(cumplidoEn));
+};
+
+// Hitos de un conjunto de pedidos con los datos del pedido, ordenados por fecha y hora
+export const orderEvents = (orders) => orders.flatMap(o => [
+  ...(o.agenda || []),
+  ...(o.fechaEntrega ? [{ id: 'entrega', tipo: 'entrega', fecha: o.fechaEntrega, hora: '', nota: '' }] : [])
+].filter(e => e.fecha).map(e => ({ ...e, orderId: o.id, cliente: o.cliente, asignado: o.asignado || null, done: eventDone(e, o) })))
+  .sort((a, b) => `${a.fecha} ${a.hora || ''}`.localeCompare(`${b.fecha} ${b.hora || ''}`));
+
+export const isoDay = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Días (AAAA-MM-DD) que muestra el calendario: semanas completas de lunes a domingo
+export const calendarDays = (anchor, view) => {
+  const date = new Date(`${anchor}T12:00:00`);
+  const first = view === 'week' ? date : new Date(date.getFullYear(), date.getMonth(), 1, 12);
+  const offset = (first.getDay() + 6) % 7;
+  const count = view === 'week' ? 7 : Math.ceil((offset + new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate()) / 7) * 7;
+  return Array.from({ length: count }, (_, i) => isoDay(new Date(first.getFullYear(), first.getMonth(), first.getDate() - offset + i, 12)));
+};
+
+// Mueve el calendario un mes o una semana hacia adelante (step 1) o atrás (step -1)
+export const shiftCalendar = (anchor, view, step) => {
+  const date = new Date(`${anchor}T12:00:00`);
+  if (view === 'week') date.setDate(date.getDate() + 7 * step);
+  else date.setMonth(date.getMonth() + step, 1);
+  return isoDay(date);
+};
+
+// Escapa comas, punto y coma, barras y saltos de línea (RFC 5545)
+const icsText = (value = '') => String(value).replace(/\\/g, '\\\\').replace(/[,;]/g, m => `\\${m}`).replace(/\r?\n/g, '\\n');
+
+const utf8 = new TextEncoder();
+
+// Las líneas de más de 75 bytes continúan en la siguiente con un espacio inicial
+const icsFold = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = utf8.encode(ch).length;
+    if (size + bytes > 73) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  return [...parts, current].join('\r\n ');
+};
+
+const icsDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '');
+
+const icsOffset = (minutes) => `${minutes < 0 ? '-' : '+'}${String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0')}${String(Math.abs(minutes) % 60).padStart(2, '0')}`;
+
+/**
+ * Definición VTIMEZONE de una zona IANA para los años indicados. Los cambios
+ * de horario se buscan con Intl (día a día y luego al minuto), así que sirve
+ * para cualquier zona sin incluir una base de datos de husos.
+ */
+const icsTimezone = (timeZone, years) => {
+  const format = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'longOffset' });
+  const offsetAt = (ms) => {
+    const m = format.formatToParts(new Date(ms)).find(p => p.type === 'timeZoneName').value.match(/([+-])(\d{2}):(\d{2})/);
+    return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) : 0;
+  };
+  const component = (at, from, to, daylight) => [
+    `BEGIN:${daylight ? 'DAYLIGHT' : 'STANDARD'}`,
+    `DTSTART:${at}`, `TZOFFSETFROM:${icsOffset(from)}`, `TZOFFSETTO:${icsOffset(to)}`,
+    `END:${daylight ? 'DAYLIGHT' : 'STANDARD'}`
+  ];
+  const first = Math.min(...years);
+  let previous = offsetAt(Date.UTC(first, 0, 1, 12));
+  const lines = component('19700101T000000', previous, previous, false);
+  for (let day = Date.UTC(first, 0, 2, 12); day <= Date.UTC(Math.max(...years), 11, 31, 12); day += DAY_MS) {
+    const offset = offsetAt(day);
+    if (offset === previous) continue;
+    let [lo, hi] = [day - DAY_MS, day];
+    while (hi - lo > 60000) {
+      const mid = Math.floor((lo + hi) / 2 / 60000) * 60000;
+      if (offsetAt(mid) === previous) lo = mid; else hi = mid;
+    }
+    // El inicio se expresa en la hora local vigente antes del cambio
+    lines.push(...component(icsDateTime(new Date(hi + previous * 60000)), previous, offset, offset > previous));
+    previous = offset;
+  }
+  return ['BEGIN:VTIMEZONE', `TZID:${timeZone}`, ...lines, 'END:VTIMEZONE'];
+};
+
+/**
+ * Calendario iCalendar (.ics) con los hitos de los pedidos para importarlo en
+ * el teléfono o en Google Calendar. Con hora el evento dura una hora en la
+ * zona horaria indicada (TZID con su VTIMEZONE); sin hora es de día completo.
+ * Es una exportación puntual, no una suscripción. El UID (pedido, hito y
+ * `uidDomain`) no cambia entre descargas, para que los calendarios que lo
+ * respetan reemplacen los eventos en lugar de duplicarlos.
+ */
+export const buildIcs = (events, { name, uidDomain, timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone, stamp = new Date() }) => {
+  const dtstamp = `${icsDateTime(stamp)}Z`;
+  const timed = events.filter(e => e.hora);
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//StudioManager//Agenda//ES', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`, `X-WR-TIMEZONE:${timeZone}`,
+    ...(timed.length ? icsTimezone(timeZone, timed.map(e => Number(e.fecha.slice(0, 4)))) : [])
+  ];
+  events.forEach(e => {
+    const day = e.fecha.replace(/-/g, '');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${e.orderId}-${e.id}@${uidDomain}`,
+      `DTSTAMP:${dtstamp}`,
+      ...(e.hora
+        ? [`DTSTART;TZID=${timeZone}:${day}T${e.hora.replace(':', '')}00`, 'DURATION:PT1H']
+        : [`DTSTART;VALUE=DATE:${day}`, 'DURATION:P1D']),
+      `SUMMARY:${icsText(`${e.done ? '✓ ' : ''}${EVENT_TYPES[e.tipo]?.label || e.tipo} · ${e.cliente || 'Pedido'}`)}`,
+      ...(e.nota ? [`DESCRIPTION:${icsText(e.nota)}`] : []),
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+};
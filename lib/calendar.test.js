@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { isoDay, calendarDays, shiftCalendar, orderEvents, buildIcs } from './calendar.js';
+
+const orders = [
+  {
+    id: 'o1', cliente: 'Colegio San José', estado: 'En Impresión', fechaEntrega: '2025-03-20',
+    agenda: [
+      { id: 'e1', tipo: 'sesion', fecha: '2025-03-14', hora: '09:30', nota: 'Patio, curso 5°B', hecho: false },
+      { id: 'e2', tipo: 'pruebas', fecha: '2025-03-10', hora: '', nota: '', hecho: false }
+    ]
+  }
+];
+const options = { name: 'Agenda 2025', uidDomain: 'estudio', timeZone: 'America/Bogota' };
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+describe('isoDay', () => {
+  it('usa la fecha local aunque en UTC ya sea el día siguiente', () => {
+    expect(isoDay(new Date(2025, 2, 14, 23, 30))).toBe('2025-03-14');
+    expect(isoDay(new Date(2025, 0, 1, 0, 0))).toBe('2025-01-01');
+  });
+});
+
+describe('calendarDays y shiftCalendar', () => {
+  it('muestra semanas completas de lunes a domingo', () => {
+    const days = calendarDays('2025-03-14', 'month');
+    expect(days[0]).toBe('2025-02-24');
+    expect(days[days.length - 1]).toBe('2025-04-06');
+    expect(days).toHaveLength(42);
+    expect(calendarDays('2025-03-14', 'week')).toEqual(['2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13', '2025-03-14', '2025-03-15', '2025-03-16']);
+  });
+
+  it('avanza al primer día del mes siguiente aunque el mes actual sea más largo', () => {
+    expect(shiftCalendar('2025-01-31', 'month', 1)).toBe('2025-02-01');
+    expect(shiftCalendar('2025-03-03', 'week', -1)).toBe('2025-02-24');
+  });
+});
+
+describe('orderEvents', () => {
+  it('agrega la entrega, ordena por fecha y marca los hitos cumplidos por estado', () => {
+    const events = orderEvents(orders);
+    expect(events.map(e => e.id)).toEqual(['e2', 'e1', 'entrega']);
+    expect(events.find(e => e.id === 'e2').done).toBe(true);
+    expect(events.find(e => e.id === 'e1').done).toBe(false);
+    expect(events.find(e => e.id === 'entrega')).toMatchObject({ orderId: 'o1', cliente: 'Colegio San José', done: false });
+  });
+});
+
+describe('buildIcs', () => {
+  it('mantiene los mismos UID al exportar de nuevo', () => {
+    const uids = (ics) => unfold(ics).split('\r\n').filter(l => l.startsWith('UID:'));
+    const first = buildIcs(orderEvents(orders), { ...options, stamp: new Date('2025-03-01T10:00:00Z') });
+    const second = buildIcs(orderEvents(orders), { ...options, stamp: new Date('2025-03-05T18:00:00Z') });
+    expect(uids(first)).toEqual(['UID:o1-e2@estudio', 'UID:o1-e1@estudio', 'UID:o1-entrega@estudio']);
+    expect(uids(second)).toEqual(uids(first));
+  });
+
+  it('escribe los eventos con hora en la zona del estudio con su VTIMEZONE', () => {
+    const ics = unfold(buildIcs(orderEvents(orders), options));
+    expect(ics).toContain('DTSTART;TZID=America/Bogota:20250314T093000\r\nDURATION:PT1H');
+    expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:America/Bogota\r\nBEGIN:STANDARD');
+    expect(ics).toContain('TZOFFSETTO:-0500');
+    expect(ics).toContain('DESCRIPTION:Patio\\, curso 5°B');
+  });
+
+  it('deja de día completo los hitos sin hora y omite VTIMEZONE si no hay ninguno con hora', () => {
+    const ics = unfold(buildIcs(orderEvents(orders), options));
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250310\r\nDURATION:P1D');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250320\r\nDURATION:P1D');
+    const allDay = buildIcs(orderEvents([{ ...orders[0], agenda: [] }]), options);
+    expect(allDay).not.toContain('VTIMEZONE');
+  });
+
+  it('separa las líneas con CRLF y las pliega a 75 bytes', () => {
+    const ics = buildIcs(orderEvents([{ ...orders[0], cliente: 'Colegio Nuestra Señora de la Misericordia y San Francisco de Asís' }]), options);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+    const encoder = new TextEncoder();
+    expect(ics.split('\r\n').every(l => encoder.encode(l).length <= 75)).toBe(true);
+    expect(ics.split('\r\n').some(l => l.startsWith(' '))).toBe(true);
+  });
+});
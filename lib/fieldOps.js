@@ -0,0 +1,23 @@
+/**
+ * Cambios relativos independientes del almacenamiento. Cada repositorio los
+ * traduce: increment/arrayUnion en Firestore y applyChanges en el modo local.
+ */
+export const fieldOps = {
+  increment: (n) => ({ __op: 'increment', n }),
+  arrayUnion: (...items) => ({ __op: 'arrayUnion', items })
+};
+
+// Aplica un cambio con fieldOps y rutas con punto ('documentos.quote') sobre un documento local
+export const applyChanges = (current, changes) => {
+  const next = { ...current };
+  Object.entries(changes).forEach(([key, value]) => {
+    const [head, ...rest] = key.split('.');
+    if (rest.length) next[head] = applyChanges(next[head] || {}, { [rest.join('.')]: value });
+    else if (value?.__op === 'increment') next[key] = (Number(next[key]) || 0) + value.n;
+    else if (value?.__op === 'arrayUnion') {
+      const list = next[key] || [];
+      next[key] = [...list, ...value.items.filter(item => !list.some(x => JSON.stringify(x) === JSON.stringify(item)))];
+    } else next[key] = value;
+  });
+  return next;
+};
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { fieldOps, applyChanges } from './fieldOps.js';
+
+describe('applyChanges', () => {
+  it('suma los incrementos sobre el valor actual, también sin valor previo', () => {
+    const doc = applyChanges({ stock: 4 }, { stock: fieldOps.increment(-3), usos: fieldOps.increment(1) });
+    expect(doc).toEqual({ stock: 1, usos: 1 });
+  });
+
+  it('agrega a una lista solo los elementos que no están', () => {
+    const doc = applyChanges({ ids: ['a', { x: 1 }] }, { ids: fieldOps.arrayUnion('a', 'b', { x: 1 }) });
+    expect(doc.ids).toEqual(['a', { x: 1 }, 'b']);
+  });
+
+  it('escribe rutas con punto dentro de los mapas sin tocar el resto', () => {
+    const doc = applyChanges({ documentos: { quote: 'COT-1' } }, { 'documentos.invoice': 'FAC-1' });
+    expect(doc.documentos).toEqual({ quote: 'COT-1', invoice: 'FAC-1' });
+  });
+
+  it('no modifica el documento original', () => {
+    const current = { stock: 2 };
+    applyChanges(current, { stock: fieldOps.increment(5) });
+    expect(current.stock).toBe(2);
+  });
+});
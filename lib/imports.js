@@ -0,0 +1,56 @@
+// Importación de planillas: lectura de fechas y números y validación de filas
+import { toCents, parseNumber } from './money.js';
+import { isoDay } from './calendar.js';
+import { normalizeName } from './text.js';
+
+/**
+ * Acepta fechas de Excel, "2025-03-14" y "14/03/2025"; devuelve AAAA-MM-DD o
+ * null. Con `cellDates` SheetJS entrega las celdas de fecha como Date a la
+ * medianoche local, así que se toma el día local y no el UTC.
+ */
+export const parseDate = (value) => {
+  if (value instanceof Date && !isNaN(value)) return isoDay(value);
+  const text = String(value ?? '').trim();
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  return null;
+};
+
+/**
+ * Convierte las filas del archivo según el mapeo de columnas y las valida.
+ * `fields` describe las columnas del tipo de registro ({ key, label, type,
+ * required, options }) y `locale` decide cómo se leen los separadores de miles.
+ * Devuelve [{ data, errors }] con los valores ya normalizados.
+ */
+export const mapImportRows = (fields, rows, mapping, locale) => rows.map(row => {
+  const data = {};
+  const errors = [];
+  fields.forEach(f => {
+    const raw = mapping[f.key] ? row[mapping[f.key]] : undefined;
+    const empty = raw === undefined || raw === null || String(raw).trim() === '';
+    if (empty) {
+      if (f.required) errors.push(`${f.label} es obligatorio`);
+      return;
+    }
+    if (f.type === 'number' || f.type === 'money') {
+      const n = parseNumber(raw, locale);
+      if (isNaN(n) || n < 0) errors.push(`${f.label} no es un número válido`);
+      else data[f.key] = f.type === 'money' ? toCents(n) : n;
+    } else if (f.type === 'date') {
+      const d = parseDate(raw);
+      if (!d) errors.push(`${f.label} no es una fecha válida`);
+      else data[f.key] = d;
+    } else if (f.options) {
+      const match = f.options.find(o => normalizeName(o) === normalizeName(String(raw)));
+      if (!match) errors.push(`${f.label} debe ser uno de: ${f.options.join(', ')}`);
+      else data[f.key] = match;
+    } else {
+      data[f.key] = String(raw).trim();
+    }
+  });
+  // Solo los pedidos tienen abono y total
+  if (data.adelanto > data.total) errors.push('El abono supera el total');
+  return { data, errors };
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { parseDate, mapImportRows } from './imports.js';
+
+const orderFields = [
+  { key: 'cliente', label: 'Cliente', required: true },
+  { key: 'total', label: 'Total', type: 'money', required: true },
+  { key: 'adelanto', label: 'Abono', type: 'money' },
+  { key: 'estado', label: 'Estado', options: ['Pendiente', 'En Diseño', 'Entregado'] },
+  { key: 'fecha', label: 'Fecha', type: 'date' }
+];
+const inventoryFields = [
+  { key: 'item', label: 'Nombre', required: true },
+  { key: 'stock', label: 'Stock', type: 'number', required: true }
+];
+const mapping = { cliente: 'Cliente', total: 'Total', adelanto: 'Abono', estado: 'Estado', fecha: 'Fecha' };
+
+describe('parseDate', () => {
+  it('toma el día local de las celdas de fecha de la planilla', () => {
+    expect(parseDate(new Date(2025, 2, 14))).toBe('2025-03-14');
+    expect(parseDate(new Date(2025, 0, 1))).toBe('2025-01-01');
+  });
+
+  it('acepta AAAA-MM-DD y DD/MM/AAAA', () => {
+    expect(parseDate('2025-3-4')).toBe('2025-03-04');
+    expect(parseDate('14/03/2025')).toBe('2025-03-14');
+    expect(parseDate('14.03.2025')).toBe('2025-03-14');
+    expect(parseDate('marzo')).toBeNull();
+    expect(parseDate(new Date('x'))).toBeNull();
+  });
+});
+
+describe('mapImportRows', () => {
+  it('guarda el día de la celda de fecha sin correrlo por la zona horaria', () => {
+    const [row] = mapImportRows(orderFields, [{ Cliente: 'Liceo Norte', Total: 100, Fecha: new Date(2025, 2, 1) }], mapping, 'es-419');
+    expect(row.errors).toEqual([]);
+    expect(row.data.fecha).toBe('2025-03-01');
+  });
+
+  it('lee los separadores de miles según el formato regional', () => {
+    const rows = [{ Cliente: 'Liceo Norte', Total: '1,234', Abono: '$ 1,000.50' }];
+    expect(mapImportRows(orderFields, rows, mapping, 'es-419')[0].data).toMatchObject({ total: 123400, adelanto: 100050 });
+    const spain = [{ Cliente: 'Liceo Norte', Total: '1.234,50', Abono: '1.000' }];
+    expect(mapImportRows(orderFields, spain, mapping, 'es-ES')[0].data).toMatchObject({ total: 123450, adelanto: 100000 });
+    const stock = mapImportRows(inventoryFields, [{ Nombre: 'Papel', Stock: '1.200' }], { item: 'Nombre', stock: 'Stock' }, 'es-ES');
+    expect(stock[0].data.stock).toBe(1200);
+  });
+
+  it('normaliza las opciones y reporta los errores de cada fila', () => {
+    const rows = [
+      { Cliente: 'Liceo Norte', Total: '500', Estado: 'en diseno' },
+      { Cliente: '', Total: '1,23,4', Estado: 'Archivado', Fecha: '31-02' },
+      { Cliente: 'Colegio Sur', Total: '100', Abono: '150' }
+    ];
+    const [ok, bad, over] = mapImportRows(orderFields, rows, mapping, 'es-419');
+    expect(ok).toEqual({ data: { cliente: 'Liceo Norte', total: 50000, estado: 'En Diseño' }, errors: [] });
+    expect(bad.errors).toEqual([
+      'Cliente es obligatorio',
+      'Total no es un número válido',
+      'Estado debe ser uno de: Pendiente, En Diseño, Entregado',
+      'Fecha no es una fecha válida'
+    ]);
+    expect(over.errors).toEqual(['El abono supera el total']);
+  });
+});
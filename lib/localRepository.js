@@ -0,0 +1,157 @@
+// Modo local: repositorio en memoria e IndexedDB con la interfaz del de Firestore
+import { applyChanges } from './fieldOps.js';
+
+// Orden de los listados y del modo local: números por valor, textos alfabéticos (es) y desc/asc
+export const sortRecords = (records, sort, dir) => [...records].sort((a, b) => {
+  const x = a[sort] ?? '';
+  const y = b[sort] ?? '';
+  const cmp = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y), 'es', { numeric: true });
+  return dir === 'asc' ? cmp : -cmp;
+});
+
+export const LOCAL_OPERATORS = {
+  '==': (a, b) => a === b,
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b
+};
+
+// Misma consulta que resolvería Firestore: filtros, orden, inicio tras el cursor y límite
+export const runLocalQuery = (docs, spec, cursor) => {
+  const [field, dir] = spec.orderBy;
+  const sorted = sortRecords(docs.filter(d => d[field] !== undefined
+    && spec.where.every(([f, op, value]) => d[f] !== undefined && LOCAL_OPERATORS[op](d[f], value))), field, dir);
+  const start = cursor ? sorted.findIndex(d => d.id === cursor.id) + 1 : 0;
+  return sorted.slice(start, start + spec.limit);
+};
+
+/**
+ * Almacén del modo local: un mapa en memoria por colección que se guarda en
+ * la base IndexedDB `name` cuando el navegador lo permite (sin IndexedDB
+ * queda solo en memoria, por ejemplo en pruebas).
+ */
+export const createLocalStore = (name, indexedDb = typeof indexedDB !== 'undefined' ? indexedDB : null) => {
+  const collections = new Map();
+  const watchers = new Set();
+  const col = (path) => {
+    if (!collections.has(path)) collections.set(path, new Map());
+    return collections.get(path);
+  };
+  const notify = () => watchers.forEach(fn => fn());
+
+  const database = !indexedDb ? Promise.resolve(null) : new Promise((resolve) => {
+    const req = indexedDb.open(name, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('docs');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.warn("IndexedDB no disponible, los datos locales no se conservarán:", req.error);
+      resolve(null);
+    };
+  });
+  const ready = database.then(idb => idb && new Promise((resolve) => {
+    const req = idb.transaction('docs').objectStore('docs').openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      col(cursor.value.path).set(cursor.value.id, cursor.value.data);
+      cursor.continue();
+    };
+    req.onerror = () => resolve();
+  }));
+
+  return {
+    ready,
+    get: (path, id) => col(path).get(id) || null,
+    docs: (path) => [...col(path)].map(([id, data]) => ({ id, ...data })),
+    // Aplica juntas las escrituras de un lote y avisa una sola vez (data null = borrar)
+    write: (writes) => {
+      writes.forEach(({ path, id, data }) => (data ? col(path).set(id, data) : col(path).delete(id)));
+      notify();
+      return database.then(idb => idb && new Promise((resolve, reject) => {
+        const tx = idb.transaction('docs', 'readwrite');
+        writes.forEach(({ path, id, data }) => (data
+          ? tx.objectStore('docs').put({ path, id, data }, `${path}/${id}`)
+          : tx.objectStore('docs').delete(`${path}/${id}`)));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      }));
+    },
+    watch: (fn) => {
+      watchers.add(fn);
+      ready.then(() => watchers.has(fn) && fn());
+      return () => watchers.delete(fn);
+    }
+  };
+};
+
+/**
+ * Repositorio del modo local con la misma interfaz que el de Firestore (ver
+ * getRepository en App.jsx). `root` es la ruta del espacio de trabajo.
+ */
+export const createLocalRepository = (store, root) => {
+  const path = (type) => [...root, type].join('/');
+
+  // Escrituras de un lote calculadas sobre el estado actual y las anteriores del mismo lote
+  const createWrites = () => {
+    const writes = new Map();
+    let failure = null;
+    const key = (type, id) => `${path(type)}/${id}`;
+    const current = (type, id) => (writes.has(key(type, id)) ? writes.get(key(type, id)).data : store.get(path(type), id));
+    const put = (type, id, data) => writes.set(key(type, id), { path: path(type), id, data });
+    return {
+      current,
+      set: (type, id, data, options = {}) => put(type, id, applyChanges(options.merge ? current(type, id) || {} : {}, data)),
+      update: (type, id, changes) => {
+        const existing = current(type, id);
+        if (existing) put(type, id, applyChanges(existing, changes));
+        else failure = failure || Object.assign(new Error(`No existe el documento ${type}/${id}`), { code: 'not-found' });
+      },
+      remove: (type, id) => put(type, id, null),
+      commit: () => (failure ? Promise.reject(failure) : store.write([...writes.values()]))
+    };
+  };
+  const single = (fn) => {
+    const writes = createWrites();
+    fn(writes);
+    return writes.commit();
+  };
+
+  return {
+    newId: () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+    set: (type, id, data, options) => single(w => w.set(type, id, data, options)),
+    update: (type, id, changes) => single(w => w.update(type, id, changes)),
+    remove: (type, id) => single(w => w.remove(type, id)),
+    batch: () => {
+      const writes = createWrites();
+      return { set: writes.set, update: writes.update, remove: writes.remove, commit: writes.commit };
+    },
+    transaction: async (fn) => {
+      await store.ready;
+      const writes = createWrites();
+      const result = await fn({
+        get: async (type, id) => writes.current(type, id),
+        set: writes.set,
+        update: writes.update
+      });
+      await writes.commit();
+      return result;
+    },
+    list: async (type) => {
+      await store.ready;
+      return store.docs(path(type));
+    },
+    // Sin servidor no hay escrituras pendientes ni sincronización que informar
+    subscribe: (type, onData) => store.watch(() => onData(store.docs(path(type)), { pending: 0, synced: false })),
+    subscribeDoc: (type, id, onData) => store.watch(() => onData(store.get(path(type), id), { synced: true })),
+    subscribeQuery: (type, spec, cursor, onData) => store.watch(() => {
+      const docs = runLocalQuery(store.docs(path(type)), spec, cursor);
+      onData(docs, docs[docs.length - 1] || null);
+    }),
+    sum: async (type, field, conditions = []) => {
+      await store.ready;
+      return store.docs(path(type))
+        .filter(d => conditions.every(([f, op, value]) => d[f] !== undefined && LOCAL_OPERATORS[op](d[f], value)))
+        .reduce((total, d) => total + (Number(d[field]) || 0), 0);
+    }
+  };
+};
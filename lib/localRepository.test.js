@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { fieldOps } from './fieldOps.js';
+import { createLocalStore, createLocalRepository, runLocalQuery } from './localRepository.js';
+
+// Sin IndexedDB el almacén queda solo en memoria
+const newRepo = (root = ['ws', 'a']) => createLocalRepository(createLocalStore('test', null), root);
+
+describe('createLocalRepository', () => {
+  it('guarda, actualiza con fieldOps y borra documentos', async () => {
+    const repo = newRepo();
+    await repo.set('inventory', 'papel', { item: 'Papel', stock: 10 });
+    await repo.update('inventory', 'papel', { stock: fieldOps.increment(-4) });
+    expect(await repo.list('inventory')).toEqual([{ id: 'papel', item: 'Papel', stock: 6 }]);
+    await repo.remove('inventory', 'papel');
+    expect(await repo.list('inventory')).toEqual([]);
+  });
+
+  it('set con merge conserva los campos existentes', async () => {
+    const repo = newRepo();
+    await repo.set('settings', 'studio', { nombre: 'Foto Sur', moneda: 'PEN' });
+    await repo.set('settings', 'studio', { moneda: 'USD' }, { merge: true });
+    expect(await repo.list('settings')).toEqual([{ id: 'studio', nombre: 'Foto Sur', moneda: 'USD' }]);
+  });
+
+  it('rechaza actualizar un documento que no existe y no aplica el lote', async () => {
+    const repo = newRepo();
+    const batch = repo.batch();
+    batch.set('orders', 'o1', { cliente: 'Colegio A' });
+    batch.update('orders', 'falta', { estado: 'Listo' });
+    await expect(batch.commit()).rejects.toMatchObject({ code: 'not-found' });
+    expect(await repo.list('orders')).toEqual([]);
+  });
+
+  it('la transacción lee las escrituras previas del mismo lote', async () => {
+    const repo = newRepo();
+    await repo.set('counters', 'receipt', { next: 7 });
+    const number = await repo.transaction(async (tx) => {
+      const counter = await tx.get('counters', 'receipt');
+      tx.update('counters', 'receipt', { next: counter.next + 1 });
+      return (await tx.get('counters', 'receipt')).next;
+    });
+    expect(number).toBe(8);
+    expect((await repo.list('counters'))[0].next).toBe(8);
+  });
+
+  it('separa los datos de cada espacio de trabajo', async () => {
+    const store = createLocalStore('test', null);
+    const a = createLocalRepository(store, ['ws', 'a']);
+    const b = createLocalRepository(store, ['ws', 'b']);
+    await a.set('orders', 'o1', { cliente: 'Colegio A' });
+    expect(await b.list('orders')).toEqual([]);
+  });
+
+  it('avisa a los suscriptores después de cada escritura', async () => {
+    const repo = newRepo();
+    const seen = [];
+    const unsubscribe = repo.subscribe('orders', (docs) => seen.push(docs.length));
+    await repo.set('orders', 'o1', { cliente: 'Colegio A' });
+    await repo.set('orders', 'o2', { cliente: 'Colegio B' });
+    unsubscribe();
+    await repo.set('orders', 'o3', { cliente: 'Colegio C' });
+    expect(seen.at(-1)).toBe(2);
+  });
+
+  it('suma un campo con las mismas condiciones que una consulta', async () => {
+    const repo = newRepo();
+    const batch = repo.batch();
+    batch.set('expenses', 'e1', { monto: 1500, centavos: true });
+    batch.set('expenses', 'e2', { monto: 500, centavos: true, deletedAt: '2025-03-01T10:00:00.000Z' });
+    batch.set('expenses', 'e3', { monto: 20 });
+    await batch.commit();
+    expect(await repo.sum('expenses', 'monto')).toBe(2020);
+    expect(await repo.sum('expenses', 'monto', [['centavos', '==', true]])).toBe(2000);
+    expect(await repo.sum('expenses', 'monto', [['deletedAt', '>', '']])).toBe(500);
+  });
+});
+
+describe('runLocalQuery', () => {
+  const docs = [
+    { id: 'a', estado: 'Listo', total: 300 },
+    { id: 'b', estado: 'Pendiente', total: 100 },
+    { id: 'c', estado: 'Listo', total: 200 },
+    { id: 'd', estado: 'Listo', total: 100 },
+    { id: 'e', estado: 'Listo' }
+  ];
+  const spec = { where: [['estado', '==', 'Listo']], orderBy: ['total', 'asc'], limit: 2 };
+
+  it('filtra, ordena y limita como Firestore (sin el campo de orden no aparece)', () => {
+    expect(runLocalQuery(docs, spec, null).map(d => d.id)).toEqual(['d', 'c']);
+  });
+
+  it('continúa después del cursor', () => {
+    const [, last] = runLocalQuery(docs, spec, null);
+    expect(runLocalQuery(docs, spec, last).map(d => d.id)).toEqual(['a']);
+  });
+});
@@ -0,0 +1,122 @@
+// Los importes se guardan en centavos (enteros) para evitar errores de redondeo al sumar
+
+export const DEFAULT_MONEY = { moneda: 'USD', locale: 'es-419', tasas: {} };
+
+// Moneda, formato regional y tasas de referencia configurados en los ajustes del estudio
+export const moneySettings = (studio = {}) => ({
+  moneda: studio.moneda || DEFAULT_MONEY.moneda,
+  locale: studio.locale || DEFAULT_MONEY.locale,
+  tasas: studio.tasas || DEFAULT_MONEY.tasas
+});
+
+export const toCents = (value) => Math.round((Number(value) || 0) * 100);
+
+export const fromCents = (cents) => (Number(cents) || 0) / 100;
+
+const formatters = new Map();
+
+// Sin moneda se muestra solo el número con separadores del idioma
+export const formatMoney = (cents, moneda, locale = DEFAULT_MONEY.locale) => {
+  const key = `${locale}|${moneda || ''}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, moneda
+      ? { style: 'currency', currency: moneda }
+      : { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+  }
+  return formatters.get(key).format(fromCents(cents));
+};
+
+const separators = new Map();
+
+// Separador decimal del formato regional ("," en es-ES, "." en es-419)
+export const decimalSeparator = (locale = DEFAULT_MONEY.locale) => {
+  if (!separators.has(locale)) {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+    separators.set(locale, part ? part.value : '.');
+  }
+  return separators.get(locale);
+};
+
+/**
+ * Lee un número escrito a mano o en una planilla ("1234.5", "1.234,50",
+ * "$ 1,234.50"). Con los dos separadores el último es el decimal; con uno solo
+ * se usa el del formato regional, y el de miles solo vale en grupos de tres
+ * cifras ("1,234" es 1234 en es-419 y 1,234 en es-ES). Devuelve NaN si es ambiguo.
+ */
+export const parseNumber = (value, locale = DEFAULT_MONEY.locale) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').replace(/[^\d,.-]/g, '');
+  if (!text) return NaN;
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  if (lastComma >= 0 && lastDot >= 0) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const group = decimal === ',' ? '.' : ',';
+    const [whole, fraction, ...rest] = text.split(decimal);
+    if (rest.length || !new RegExp(`^-?\\d{1,3}(\\${group}\\d{3})*$`).test(whole)) return NaN;
+    return Number(`${whole.split(group).join('')}.${fraction}`);
+  }
+  const separator = lastComma >= 0 ? ',' : lastDot >= 0 ? '.' : null;
+  if (!separator) return Number(text);
+  const parts = text.split(separator);
+  const grouped = parts.length > 1 && /^-?\d{1,3}$/.test(parts[0]) && parts.slice(1).every(p => /^\d{3}$/.test(p));
+  if (separator === decimalSeparator(locale)) {
+    if (parts.length === 2) return Number(parts.join('.'));
+    return grouped ? Number(parts.join('')) : NaN;
+  }
+  if (grouped) return Number(parts.join(''));
+  return parts.length === 2 ? Number(parts.join('.')) : NaN;
+};
+
+export const orderCurrency = (order, money) => order?.moneda || money.moneda;
+
+/**
+ * Tasa de una moneda a la del estudio (1 unidad de `moneda` = tasa unidades
+ * del estudio). Los abonos guardan la tasa del día del cobro; sin ella se usa
+ * la tasa de referencia de los ajustes.
+ */
+export const rateFor = (moneda, money, tasa) => (!moneda || moneda === money.moneda ? 1 : Number(tasa) || Number(money.tasas[moneda]) || 1);
+
+export const toStudioCents = (cents, moneda, money, tasa) => Math.round((Number(cents) || 0) * rateFor(moneda, money, tasa));
+
+// Campos con importes de cada colección y de sus líneas (pedido y orden de compra)
+export const MONEY_FIELDS = { orders: ['total', 'adelanto'], payments: ['monto'], expenses: ['monto'], inventory: ['costo'], products: ['precio'], purchaseOrders: ['total'] };
+export const LINE_MONEY_FIELDS = { orders: ['items', 'precio'], purchaseOrders: ['lineas', 'costo'] };
+
+/**
+ * Los documentos guardados antes de usar centavos tienen los importes en
+ * unidades y no llevan `centavos: true`. Se convierten al leerlos, así toda
+ * la app trabaja en centavos; `legacyAmounts` marca los que faltan migrar.
+ */
+export const withCents = (type, data) => {
+  if (data.centavos || !MONEY_FIELDS[type]) return data;
+  const converted = { ...data, centavos: true, legacyAmounts: true };
+  MONEY_FIELDS[type].forEach(f => {
+    if (data[f] !== undefined && data[f] !== null && data[f] !== '') converted[f] = toCents(data[f]);
+  });
+  const [list, field] = LINE_MONEY_FIELDS[type] || [];
+  if (list && Array.isArray(data[list])) converted[list] = data[list].map(l => ({ ...l, [field]: toCents(l[field]) }));
+  return converted;
+};
+
+/**
+ * Suma en el servidor de un importe de los documentos no eliminados, sin
+ * descargar la colección. Los documentos antiguos (sin `centavos`) guardan
+ * unidades, así que su parte se multiplica por 100 igual que en withCents.
+ */
+export const activeAmountTotal = async (repo, type, field) => {
+  const cents = ['centavos', '==', true];
+  const deleted = ['deletedAt', '>', ''];
+  const [all, allCents, removed, removedCents] = await Promise.all([
+    repo.sum(type, field), repo.sum(type, field, [cents]), repo.sum(type, field, [deleted]), repo.sum(type, field, [cents, deleted])
+  ]);
+  return Math.round((allCents - removedCents) + ((all - allCents) - (removed - removedCents)) * 100);
+};
+
+// Cambios que dejan en centavos todos los importes de un documento antiguo; se suman a cualquier escritura de importes
+export const centsPatch = (type, record) => {
+  if (!record.legacyAmounts) return {};
+  const [list] = LINE_MONEY_FIELDS[type] || [];
+  const fields = [...MONEY_FIELDS[type], ...(list ? [list] : [])].filter(f => record[f] !== undefined);
+  return { ...Object.fromEntries(fields.map(f => [f, record[f]])), centavos: true };
+};
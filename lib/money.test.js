@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { createLocalStore, createLocalRepository } from './localRepository.js';
+import { withCents, centsPatch, toStudioCents, formatMoney, activeAmountTotal, parseNumber } from './money.js';
+
+describe('withCents', () => {
+  it('convierte a centavos los importes y las líneas de un documento antiguo', () => {
+    const order = withCents('orders', { total: 120.5, adelanto: '20', items: [{ nombre: 'Anuario', cantidad: 2, precio: 60.25 }] });
+    expect(order).toMatchObject({ total: 12050, adelanto: 2000, centavos: true, legacyAmounts: true });
+    expect(order.items[0].precio).toBe(6025);
+  });
+
+  it('deja igual los documentos que ya están en centavos y las colecciones sin importes', () => {
+    const payment = { monto: 1000, centavos: true };
+    expect(withCents('payments', payment)).toBe(payment);
+    const student = { nombre: 'Ana' };
+    expect(withCents('students', student)).toBe(student);
+  });
+
+  it('no inventa importes vacíos', () => {
+    expect(withCents('orders', { total: 10, adelanto: '' }).adelanto).toBe('');
+  });
+});
+
+describe('centsPatch', () => {
+  it('solo genera cambios para documentos que faltan migrar', () => {
+    expect(centsPatch('expenses', { monto: 500, centavos: true })).toEqual({});
+    const legacy = withCents('purchaseOrders', { total: 15, lineas: [{ costo: 1.5, cantidad: 10 }] });
+    expect(centsPatch('purchaseOrders', legacy)).toEqual({ total: 1500, lineas: [{ costo: 150, cantidad: 10 }], centavos: true });
+  });
+});
+
+describe('toStudioCents', () => {
+  const money = { moneda: 'PEN', locale: 'es-PE', tasas: { USD: 3.7 } };
+
+  it('usa la tasa guardada y si no la de referencia', () => {
+    expect(toStudioCents(1000, 'USD', money, 3.8)).toBe(3800);
+    expect(toStudioCents(1000, 'USD', money)).toBe(3700);
+    expect(toStudioCents(1000, 'PEN', money, 9)).toBe(1000);
+  });
+});
+
+describe('formatMoney', () => {
+  it('formatea centavos con la moneda y el idioma', () => {
+    expect(formatMoney(123456, 'USD', 'en-US')).toBe('$1,234.56');
+    expect(formatMoney(123456, null, 'es-ES')).toBe('1234,56');
+  });
+});
+
+describe('parseNumber', () => {
+  it('usa el último separador como decimal cuando aparecen los dos', () => {
+    expect(parseNumber('1.234,50', 'es-419')).toBe(1234.5);
+    expect(parseNumber('$ 1,234.50', 'es-ES')).toBe(1234.5);
+    expect(parseNumber('1.234.567,8', 'es-419')).toBe(1234567.8);
+  });
+
+  it('lee el separador de miles según el formato regional', () => {
+    expect(parseNumber('1,234', 'es-419')).toBe(1234);
+    expect(parseNumber('1,234', 'es-ES')).toBe(1.234);
+    expect(parseNumber('1.234', 'es-ES')).toBe(1234);
+    expect(parseNumber('1.234.567', 'es-419')).toBe(1234567);
+  });
+
+  it('acepta decimales que no pueden ser miles', () => {
+    expect(parseNumber('12,5', 'es-419')).toBe(12.5);
+    expect(parseNumber('12.5', 'es-ES')).toBe(12.5);
+    expect(parseNumber('-3', 'es-419')).toBe(-3);
+    expect(parseNumber(42)).toBe(42);
+  });
+
+  it('rechaza números ambiguos o vacíos', () => {
+    expect(parseNumber('1,23,4', 'es-419')).toBeNaN();
+    expect(parseNumber('1.2.3,5', 'es-419')).toBeNaN();
+    expect(parseNumber('', 'es-419')).toBeNaN();
+  });
+});
+
+describe('activeAmountTotal', () => {
+  it('excluye la papelera y pasa a centavos los documentos antiguos', async () => {
+    const repo = createLocalRepository(createLocalStore('test', null), ['ws']);
+    const batch = repo.batch();
+    batch.set('expenses', 'nuevo', { monto: 500, centavos: true });
+    batch.set('expenses', 'antiguo', { monto: 3 });
+    batch.set('expenses', 'borrado', { monto: 200, centavos: true, deletedAt: '2025-01-02T00:00:00.000Z' });
+    batch.set('expenses', 'antiguoBorrado', { monto: 1, deletedAt: '2025-01-02T00:00:00.000Z' });
+    batch.set('expenses', 'restaurado', { monto: 100, centavos: true, deletedAt: null });
+    await batch.commit();
+    expect(await activeAmountTotal(repo, 'expenses', 'monto')).toBe(900);
+  });
+});
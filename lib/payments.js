@@ -0,0 +1,55 @@
+// Libro de pagos por pedido, saldos y totales del tablero
+import { DEFAULT_MONEY, toStudioCents } from './money.js';
+
+/**
+ * Agrupa los abonos del libro de pagos por pedido.
+ * Los pedidos antiguos guardaban un único campo `adelanto` (los nuevos ya no
+ * lo escriben); mientras sea mayor que cero se expone como abono inicial,
+ * aunque el pedido tenga entradas posteriores en el libro, para que el saldo
+ * no olvide lo cobrado antes del historial de pagos.
+ */
+export const groupPaymentsByOrder = (orders, payments) => {
+  const byOrder = {};
+  payments.forEach(p => {
+    (byOrder[p.orderId] = byOrder[p.orderId] || []).push(p);
+  });
+  orders.forEach(o => {
+    if (Number(o.adelanto) > 0) {
+      (byOrder[o.id] = byOrder[o.id] || []).unshift({
+        id: `legacy-${o.id}`,
+        orderId: o.id,
+        fecha: (o.createdAt || '').split('T')[0],
+        monto: Number(o.adelanto),
+        moneda: o.moneda,
+        metodo: 'Efectivo',
+        recibo: '',
+        nota: 'Abono registrado antes del historial de pagos',
+        legacy: true
+      });
+    }
+  });
+  // Orden del libro: por fecha y, dentro del mismo día, por momento de registro
+  Object.values(byOrder).forEach(list => list.sort((a, b) =>
+    (a.fecha || '').localeCompare(b.fecha || '') || (a.createdAt || '').localeCompare(b.createdAt || '')));
+  return byOrder;
+};
+
+// Suma en la moneda del pedido (los abonos de un pedido se cobran en su moneda)
+export const sumPayments = (list = []) => list.reduce((sum, p) => sum + (Number(p.monto) || 0), 0);
+
+// Suma en la moneda del estudio, cada abono con la tasa del día en que se cobró
+export const paymentsInStudio = (list = [], money) => list.reduce((sum, p) => sum + toStudioCents(p.monto, p.moneda, money, p.tasa), 0);
+
+export const orderBalance = (order, paymentsByOrder) => (Number(order.total) || 0) - sumPayments(paymentsByOrder[order.id]);
+
+/**
+ * Totales del tablero en la moneda del estudio. Solo cuentan los abonos de
+ * pedidos activos (no los que están en la papelera).
+ */
+export const computeStats = (orders, expenses, paymentsByOrder, money = DEFAULT_MONEY) => {
+  const totalVentas = orders.reduce((sum, o) => sum + toStudioCents(o.total, o.moneda, money), 0);
+  const totalRecaudado = orders.reduce((sum, o) => sum + paymentsInStudio(paymentsByOrder[o.id], money), 0);
+  const totalGastos = expenses.reduce((sum, e) => sum + (Number(e.monto) || 0), 0);
+  const pedidosPendientes = orders.filter(o => o.estado !== 'Entregado').length;
+  return { totalVentas, totalRecaudado, totalGastos, pedidosPendientes, balance: totalRecaudado - totalGastos };
+};
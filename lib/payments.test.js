@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { groupPaymentsByOrder, sumPayments, paymentsInStudio, orderBalance, computeStats } from './payments.js';
+
+const money = { moneda: 'USD', locale: 'es-419', tasas: { PEN: 0.25 } };
+
+describe('groupPaymentsByOrder', () => {
+  it('mantiene el adelanto antiguo como primer abono aunque el pedido tenga pagos en el libro', () => {
+    const orders = [{ id: 'o1', total: 10000, adelanto: 2000, createdAt: '2025-03-01T09:00:00.000Z' }];
+    const payments = [{ id: 'p1', orderId: 'o1', fecha: '2025-03-01', monto: 3000, createdAt: '2025-03-01T15:00:00.000Z' }];
+    const ledger = groupPaymentsByOrder(orders, payments).o1;
+    expect(ledger.map(p => p.id)).toEqual(['legacy-o1', 'p1']);
+    expect(ledger[0]).toMatchObject({ legacy: true, monto: 2000, fecha: '2025-03-01' });
+    expect(sumPayments(ledger)).toBe(5000);
+  });
+
+  it('ordena por fecha y dentro del mismo día por momento de registro', () => {
+    const payments = [
+      { id: 'tarde', orderId: 'o1', fecha: '2025-03-02', createdAt: '2025-03-02T18:00:00.000Z', monto: 1 },
+      { id: 'despues', orderId: 'o1', fecha: '2025-03-03', createdAt: '2025-03-01T08:00:00.000Z', monto: 1 },
+      { id: 'temprano', orderId: 'o1', fecha: '2025-03-02', createdAt: '2025-03-02T08:00:00.000Z', monto: 1 }
+    ];
+    expect(groupPaymentsByOrder([], payments).o1.map(p => p.id)).toEqual(['temprano', 'tarde', 'despues']);
+  });
+
+  it('sin adelanto ni pagos el pedido no tiene libro', () => {
+    expect(groupPaymentsByOrder([{ id: 'o1', total: 500, adelanto: 0 }], [])).toEqual({});
+  });
+});
+
+describe('saldos y totales', () => {
+  const orders = [
+    { id: 'o1', total: 10000, estado: 'Pendiente' },
+    { id: 'o2', total: 40000, moneda: 'PEN', estado: 'Entregado' }
+  ];
+  const payments = [
+    { id: 'p1', orderId: 'o1', fecha: '2025-01-01', monto: 4000 },
+    { id: 'p2', orderId: 'o2', fecha: '2025-01-02', monto: 40000, moneda: 'PEN', tasa: 0.3 },
+    { id: 'p3', orderId: 'borrado', fecha: '2025-01-03', monto: 999 }
+  ];
+  const ledger = groupPaymentsByOrder(orders, payments);
+
+  it('calcula el saldo en la moneda del pedido', () => {
+    expect(orderBalance(orders[0], ledger)).toBe(6000);
+    expect(orderBalance(orders[1], ledger)).toBe(0);
+  });
+
+  it('convierte cada abono con la tasa del día del cobro', () => {
+    expect(paymentsInStudio(ledger.o2, money)).toBe(12000);
+  });
+
+  it('el tablero ignora los abonos de pedidos que no están activos', () => {
+    const stats = computeStats(orders, [{ monto: 2500 }, { monto: 500 }], ledger, money);
+    expect(stats).toEqual({ totalVentas: 20000, totalRecaudado: 16000, totalGastos: 3000, pedidosPendientes: 1, balance: 13000 });
+  });
+});
@@ -0,0 +1,67 @@
+// Etapas de producción, reglas de avance y consumo de materiales
+import { DEFAULT_MONEY, formatMoney } from './money.js';
+
+export const ORDER_STATES = ['Pendiente', 'En Diseño', 'En Impresión', 'Listo', 'Entregado'];
+
+// A partir de este estado los materiales del pedido ya salieron del inventario
+export const CONSUMPTION_STATE = 'En Impresión';
+
+export const isConsumingState = (estado) => ORDER_STATES.indexOf(estado) >= ORDER_STATES.indexOf(CONSUMPTION_STATE);
+
+/**
+ * Reglas del flujo de producción. Se puede retroceder a cualquier etapa
+ * (correcciones), pero avanzar solo de a una y no se entrega con saldo pendiente.
+ * Devuelve el motivo del bloqueo o null si el cambio es válido; el saldo se
+ * muestra con la moneda y el formato regional del estudio (`money`).
+ */
+export const validateTransition = (order, newStatus, saldo, money = DEFAULT_MONEY) => {
+  const from = ORDER_STATES.indexOf(order.estado);
+  const to = ORDER_STATES.indexOf(newStatus);
+  if (to === -1 || from === to) return null;
+  if (from !== -1 && to > from + 1) return `No se puede pasar de '${order.estado}' a '${newStatus}' sin completar '${ORDER_STATES[from + 1]}'.`;
+  if (newStatus === 'Entregado' && saldo > 0) return `No se puede entregar: el pedido tiene un saldo pendiente de ${formatMoney(saldo, order.moneda || money.moneda, money.locale)}.`;
+  return null;
+};
+
+export const lineItemsTotal = (items = []) => items.reduce((sum, i) => sum + (Number(i.cantidad) || 0) * (Number(i.precio) || 0), 0);
+
+/**
+ * Materiales que requiere un pedido según las líneas y la receta de cada
+ * producto del catálogo: { [inventoryId]: cantidad }.
+ */
+export const orderMaterials = (order, products) => {
+  const required = {};
+  (order.items || []).forEach(line => {
+    const product = products.find(p => p.id === line.productId);
+    (product?.materiales || []).forEach(m => {
+      required[m.inventoryId] = (required[m.inventoryId] || 0) + (Number(m.cantidad) || 0) * (Number(line.cantidad) || 0);
+    });
+  });
+  return required;
+};
+
+/**
+ * Movimientos de stock de un cambio de estado: al entrar en impresión se
+ * descuentan los materiales del pedido y al volver a un estado anterior se
+ * devuelven. `consumo` es el valor a guardar en el pedido (undefined si no
+ * cambia); `shortages` bloquea el cambio y `belowMin` pide confirmación.
+ */
+export const planConsumption = (order, newStatus, products, inventory) => {
+  const plan = { movements: {}, consumo: undefined, shortages: [], belowMin: [] };
+  if (isConsumingState(newStatus) && !order.consumo) {
+    const required = orderMaterials(order, products);
+    Object.entries(required).forEach(([invId, qty]) => {
+      const item = inventory.find(i => i.id === invId);
+      if (!item) return;
+      const after = (Number(item.stock) || 0) - qty;
+      if (after < 0) plan.shortages.push(`${item.item}: faltan ${-after}`);
+      else if (after < (Number(item.minimo) || 0)) plan.belowMin.push(`${item.item}: quedarían ${after} (mínimo ${item.minimo})`);
+    });
+    plan.consumo = required;
+    plan.movements = Object.fromEntries(Object.entries(required).map(([invId, qty]) => [invId, -qty]));
+  } else if (!isConsumingState(newStatus) && order.consumo) {
+    plan.movements = order.consumo;
+    plan.consumo = null;
+  }
+  return plan;
+};
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { formatMoney } from './money.js';
+import { validateTransition, orderMaterials, planConsumption } from './production.js';
+
+const products = [
+  { id: 'anuario', materiales: [{ inventoryId: 'papel', cantidad: 50 }, { inventoryId: 'tapa', cantidad: 1 }] }
+];
+const inventory = [
+  { id: 'papel', item: 'Papel couché', stock: 1200, minimo: 200 },
+  { id: 'tapa', item: 'Tapa dura', stock: 25, minimo: 5 }
+];
+const order = { id: 'o1', estado: 'En Diseño', items: [{ productId: 'anuario', cantidad: 20 }] };
+
+describe('validateTransition', () => {
+  it('avanza de a una etapa y permite retroceder', () => {
+    expect(validateTransition(order, 'En Impresión', 0)).toBeNull();
+    expect(validateTransition(order, 'Listo', 0)).toMatch(/sin completar 'En Impresión'/);
+    expect(validateTransition(order, 'Pendiente', 0)).toBeNull();
+  });
+
+  it('no entrega pedidos con saldo', () => {
+    expect(validateTransition({ estado: 'Listo', moneda: 'USD' }, 'Entregado', 500)).toMatch(/saldo pendiente/);
+  });
+
+  it('muestra el saldo de un pedido antiguo sin moneda con la moneda y el formato del estudio', () => {
+    const money = { moneda: 'EUR', locale: 'es-ES', tasas: {} };
+    const message = validateTransition({ estado: 'Listo' }, 'Entregado', 1234567, money);
+    expect(message).toContain(formatMoney(1234567, 'EUR', 'es-ES'));
+    expect(message).toMatch(/12\.345,67\s€/);
+  });
+});
+
+describe('planConsumption', () => {
+  it('calcula los materiales según la receta de cada producto', () => {
+    expect(orderMaterials(order, products)).toEqual({ papel: 1000, tapa: 20 });
+  });
+
+  it('descuenta los materiales al entrar en impresión', () => {
+    const plan = planConsumption(order, 'En Impresión', products, inventory);
+    expect(plan).toEqual({ movements: { papel: -1000, tapa: -20 }, consumo: { papel: 1000, tapa: 20 }, shortages: [], belowMin: [] });
+  });
+
+  it('bloquea si falta material y pide confirmar si queda bajo el mínimo', () => {
+    const big = { ...order, items: [{ productId: 'anuario', cantidad: 25 }] };
+    const plan = planConsumption(big, 'En Impresión', products, inventory);
+    expect(plan.shortages).toEqual(['Papel couché: faltan 50']);
+    expect(plan.belowMin).toEqual(['Tapa dura: quedarían 0 (mínimo 5)']);
+  });
+
+  it('no descuenta dos veces un pedido que ya consumió', () => {
+    const printed = { ...order, estado: 'En Impresión', consumo: { papel: 1000, tapa: 20 } };
+    expect(planConsumption(printed, 'Listo', products, inventory)).toMatchObject({ movements: {}, consumo: undefined });
+  });
+
+  it('devuelve lo consumido al volver a una etapa anterior', () => {
+    const printed = { ...order, estado: 'Listo', consumo: { papel: 1000, tapa: 20 } };
+    expect(planConsumption(printed, 'En Diseño', products, inventory)).toMatchObject({ movements: { papel: 1000, tapa: 20 }, consumo: null });
+  });
+});
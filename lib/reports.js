@@ -0,0 +1,77 @@
+// Reportes financieros: períodos, ingresos y gastos, antigüedad de saldos y márgenes
+import { toStudioCents } from './money.js';
+import { orderBalance } from './payments.js';
+import { DAY_MS, daysBetween, isoDay } from './calendar.js';
+
+export const MONTH_NAMES = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+/**
+ * Rango de fechas (AAAA-MM-DD, inclusivo) de un período del selector:
+ * mes ('2025-03'), temporada (año escolar '2025') o rango libre.
+ */
+export const periodRange = ({ mode, month, season, desde, hasta }) => {
+  if (mode === 'month' && month) {
+    const [y, m] = month.split('-').map(Number);
+    const last = new Date(y, m, 0).getDate();
+    return { desde: `${month}-01`, hasta: `${month}-${String(last).padStart(2, '0')}` };
+  }
+  if (mode === 'season' && season) return { desde: `${season}-01-01`, hasta: `${season}-12-31` };
+  if (mode === 'range') return { desde: desde || '', hasta: hasta || '' };
+  return { desde: '', hasta: '' };
+};
+
+export const inRange = (fecha, { desde, hasta }) => Boolean(fecha) && (!desde || fecha >= desde) && (!hasta || fecha <= hasta);
+
+/**
+ * Ingresos (abonos) y gastos agrupados en el tiempo: por día si el rango
+ * es de un mes o menos, por mes en otro caso. Todo en la moneda del estudio.
+ */
+export const incomeExpenseSeries = (payments, expenses, range, money) => {
+  const dates = [...payments.map(p => p.fecha), ...expenses.map(e => e.fecha)].filter(Boolean).sort();
+  const desde = range.desde || dates[0];
+  const hasta = range.hasta || dates[dates.length - 1];
+  if (!desde || !hasta) return [];
+  const daily = (new Date(hasta) - new Date(desde)) / DAY_MS <= 31;
+  const keyOf = (fecha) => (daily ? fecha : fecha.slice(0, 7));
+  const buckets = {};
+  // Mediodía local; la clave es el día local (isoDay), no el del reloj UTC
+  const cursor = new Date(`${desde}T12:00:00`);
+  const end = new Date(`${hasta}T12:00:00`);
+  while (cursor <= end) {
+    const key = keyOf(isoDay(cursor));
+    buckets[key] = buckets[key] || { key, label: daily ? key.slice(8) : `${MONTH_NAMES[Number(key.slice(5)) - 1]} ${key.slice(2, 4)}`, ingresos: 0, gastos: 0 };
+    if (daily) cursor.setDate(cursor.getDate() + 1);
+    else cursor.setMonth(cursor.getMonth() + 1, 1);
+  }
+  payments.forEach(p => { if (buckets[keyOf(p.fecha || '')]) buckets[keyOf(p.fecha)].ingresos += toStudioCents(p.monto, p.moneda, money, p.tasa); });
+  expenses.forEach(e => { if (buckets[keyOf(e.fecha || '')]) buckets[keyOf(e.fecha)].gastos += Number(e.monto) || 0; });
+  return Object.values(buckets);
+};
+
+export const AGING_BUCKETS = [
+  { label: '0-30 días', max: 30 },
+  { label: '31-60 días', max: 60 },
+  { label: '61-90 días', max: 90 },
+  { label: 'Más de 90 días', max: Infinity }
+];
+
+// Cuentas por cobrar agrupadas por antigüedad del pedido; el total de cada tramo va en la moneda del estudio
+export const receivablesAging = (orders, paymentsByOrder, money, asOf = new Date()) => {
+  const buckets = AGING_BUCKETS.map(b => ({ ...b, total: 0, orders: [] }));
+  orders.forEach(o => {
+    const saldo = orderBalance(o, paymentsByOrder);
+    if (saldo <= 0) return;
+    const dias = daysBetween(o.createdAt || asOf, asOf);
+    const bucket = buckets.find(b => dias <= b.max);
+    bucket.total += toStudioCents(saldo, o.moneda, money);
+    bucket.orders.push({ ...o, saldo, dias });
+  });
+  return buckets;
+};
+
+// Margen bruto por pedido: venta menos los gastos vinculados al pedido, en la moneda del estudio
+export const orderMargins = (orders, expenses, money) => orders.map(o => {
+  const costos = expenses.filter(e => e.orderId === o.id).reduce((sum, e) => sum + (Number(e.monto) || 0), 0);
+  const venta = toStudioCents(o.total, o.moneda, money);
+  return { ...o, venta, costos, margen: venta - costos, margenPct: venta ? Math.round(((venta - costos) / venta) * 100) : 0 };
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { periodRange, inRange, incomeExpenseSeries, receivablesAging } from './reports.js';
+import { groupPaymentsByOrder } from './payments.js';
+
+const money = { moneda: 'USD', locale: 'es-419', tasas: {} };
+
+describe('periodRange', () => {
+  it('cierra cada mes en su último día, también en febrero bisiesto', () => {
+    expect(periodRange({ mode: 'month', month: '2024-02' })).toEqual({ desde: '2024-02-01', hasta: '2024-02-29' });
+    expect(periodRange({ mode: 'month', month: '2025-02' })).toEqual({ desde: '2025-02-01', hasta: '2025-02-28' });
+    expect(periodRange({ mode: 'month', month: '2025-12' })).toEqual({ desde: '2025-12-01', hasta: '2025-12-31' });
+  });
+
+  it('cubre el año escolar completo de la temporada y respeta el rango libre', () => {
+    expect(periodRange({ mode: 'season', season: '2025' })).toEqual({ desde: '2025-01-01', hasta: '2025-12-31' });
+    expect(periodRange({ mode: 'range', desde: '2025-03-10', hasta: '' })).toEqual({ desde: '2025-03-10', hasta: '' });
+    expect(periodRange({ mode: 'month', month: '' })).toEqual({ desde: '', hasta: '' });
+  });
+
+  it('incluye los dos extremos del rango', () => {
+    const range = periodRange({ mode: 'season', season: '2025' });
+    expect(inRange('2025-01-01', range)).toBe(true);
+    expect(inRange('2025-12-31', range)).toBe(true);
+    expect(inRange('2024-12-31', range)).toBe(false);
+    expect(inRange('', range)).toBe(false);
+  });
+});
+
+describe('incomeExpenseSeries', () => {
+  it('agrupa por día dentro de un mes sin correr los días', () => {
+    const series = incomeExpenseSeries(
+      [{ fecha: '2025-03-01', monto: 1000 }, { fecha: '2025-03-31', monto: 2500 }, { fecha: '2025-04-01', monto: 9900 }],
+      [{ fecha: '2025-03-31', monto: 400 }],
+      periodRange({ mode: 'month', month: '2025-03' }),
+      money
+    );
+    expect(series).toHaveLength(31);
+    expect(series[0]).toEqual({ key: '2025-03-01', label: '01', ingresos: 1000, gastos: 0 });
+    expect(series[30]).toEqual({ key: '2025-03-31', label: '31', ingresos: 2500, gastos: 400 });
+  });
+
+  it('agrupa por mes una temporada y cruza el cambio de año', () => {
+    const season = incomeExpenseSeries([{ fecha: '2025-01-01', monto: 500 }, { fecha: '2025-12-31', monto: 700 }], [], periodRange({ mode: 'season', season: '2025' }), money);
+    expect(season.map(b => b.key)).toEqual(['2025-01', '2025-02', '2025-03', '2025-04', '2025-05', '2025-06', '2025-07', '2025-08', '2025-09', '2025-10', '2025-11', '2025-12']);
+    expect(season[0]).toMatchObject({ label: 'Ene 25', ingresos: 500 });
+    expect(season[11]).toMatchObject({ label: 'Dic 25', ingresos: 700 });
+    const range = incomeExpenseSeries([], [{ fecha: '2025-01-15', monto: 300 }], { desde: '2024-11-20', hasta: '2025-01-31' }, money);
+    expect(range.map(b => b.key)).toEqual(['2024-11', '2024-12', '2025-01']);
+    expect(range[2].gastos).toBe(300);
+  });
+});
+
+describe('receivablesAging', () => {
+  const asOf = new Date('2025-06-30T12:00:00.000Z');
+  const daysAgo = (n) => new Date(asOf.getTime() - n * 24 * 60 * 60 * 1000).toISOString();
+  const orders = [30, 31, 60, 61, 90, 91].map(n => ({ id: `o${n}`, total: 1000, centavos: true, createdAt: daysAgo(n) }));
+
+  it('pone cada saldo en su tramo según los días desde la creación del pedido', () => {
+    const aging = receivablesAging(orders, groupPaymentsByOrder(orders, []), money, asOf);
+    expect(aging.map(b => [b.label, b.orders.map(o => o.dias)])).toEqual([
+      ['0-30 días', [30]],
+      ['31-60 días', [31, 60]],
+      ['61-90 días', [61, 90]],
+      ['Más de 90 días', [91]]
+    ]);
+    expect(aging.map(b => b.total)).toEqual([1000, 2000, 2000, 1000]);
+  });
+
+  it('omite los pedidos sin saldo', () => {
+    const payments = [{ orderId: 'o30', monto: 1000, fecha: '2025-06-01' }, { orderId: 'o91', monto: 400, fecha: '2025-06-01' }];
+    const aging = receivablesAging(orders, groupPaymentsByOrder(orders, payments), money, asOf);
+    expect(aging[0].orders).toEqual([]);
+    expect(aging[3].total).toBe(600);
+  });
+});
@@ -0,0 +1,88 @@
+// Lista de alumnos por pedido: importes por alumno y lectura de listas de clase
+import { toCents, parseNumber } from './money.js';
+import { normalizeName } from './text.js';
+
+/**
+ * Un pedido de colegio puede llevar la lista de sus alumnos (colección
+ * `students` con `orderId`). Cada alumno encarga sus ejemplares, paga por su
+ * cuenta (abonos del pedido con `studentId`) y retira su copia el día de la
+ * entrega. Si el pedido tiene `precioAlumno`, su total es la suma de la lista.
+ */
+export const studentAmount = (student, order) => (Number(student.copias) || 0) * (Number(order?.precioAlumno) || 0);
+
+export const studentKey = (student) => `${normalizeName(student.nombre)}|${normalizeName(student.grado)}`;
+
+export const sortRoster = (students) => [...students].sort((a, b) =>
+  (a.grado || '').localeCompare(b.grado || '', 'es', { numeric: true }) || (a.nombre || '').localeCompare(b.nombre || '', 'es'));
+
+// Abonado por cada alumno, en la moneda del pedido; los abonos del colegio (sin `studentId`) no cuentan
+export const paidByStudent = (ledger = []) => ledger.reduce((acc, p) => {
+  if (p.studentId) acc[p.studentId] = (acc[p.studentId] || 0) + (Number(p.monto) || 0);
+  return acc;
+}, {});
+
+// Resumen de la lista: `pagado` suma solo lo abonado por los alumnos
+export const rosterTotals = (students, order, ledger = []) => {
+  const paid = paidByStudent(ledger);
+  return {
+    alumnos: students.length,
+    copias: students.reduce((sum, s) => sum + (Number(s.copias) || 0), 0),
+    entregados: students.filter(s => s.entregado).length,
+    total: students.reduce((sum, s) => sum + studentAmount(s, order), 0),
+    pagado: students.reduce((sum, s) => sum + (paid[s.id] || 0), 0)
+  };
+};
+
+// Total del pedido según su lista; null si el pedido no se cobra por alumno o la lista está vacía
+export const rosterOrderTotal = (students, order) => (Number(order?.precioAlumno) > 0 && students.length
+  ? students.reduce((sum, s) => sum + studentAmount(s, order), 0)
+  : null);
+
+// Columnas de la lista de clase, reconocidas por su encabezado o, sin él, en este orden
+const CLASS_LIST_COLUMNS = [
+  { key: 'nombre', pattern: /nombre|alumn|estudiante/ },
+  { key: 'grado', pattern: /grado|secci|curso|aula/ },
+  { key: 'copias', pattern: /copia|ejemplar|cantidad/ },
+  { key: 'pagado', pattern: /pagad|abon/ }
+];
+
+// Texto pegado desde una planilla: columnas separadas por tabulación, ';' o ','
+export const splitPastedRows = (text) => {
+  const lines = String(text || '').split(/\r?\n/).filter(l => l.trim());
+  const separator = ['\t', ';', ','].find(sep => lines.some(l => l.includes(sep)));
+  return lines.map(l => (separator ? l.split(separator) : [l]));
+};
+
+/**
+ * Convierte las filas de una lista de clase (planilla o texto pegado) en
+ * alumnos `{ nombre, grado, copias, pagado }`, con lo pagado en centavos.
+ * Sin columna de copias cada alumno encarga un ejemplar; los números se leen
+ * con el formato regional del estudio.
+ */
+export const parseClassList = (rows, locale) => {
+  const cells = rows.map(r => r.map(c => String(c ?? '').trim())).filter(r => r.some(Boolean));
+  const header = (cells[0] || []).map(normalizeName);
+  const found = Object.fromEntries(CLASS_LIST_COLUMNS.map(c => [c.key, header.findIndex(h => c.pattern.test(h))]));
+  const hasHeader = found.nombre >= 0;
+  const columns = hasHeader ? found : Object.fromEntries(CLASS_LIST_COLUMNS.map((c, i) => [c.key, i]));
+  return (hasHeader ? cells.slice(1) : cells).map(r => {
+    const copias = parseNumber(r[columns.copias], locale);
+    const pagado = parseNumber(r[columns.pagado], locale);
+    return {
+      nombre: (r[columns.nombre] || '').replace(/\s+/g, ' '),
+      grado: r[columns.grado] || '',
+      copias: copias >= 0 ? Math.round(copias) : 1,
+      pagado: pagado > 0 ? toCents(pagado) : 0
+    };
+  }).filter(s => s.nombre);
+};
+
+// Marca `duplicate` en los alumnos ya presentes en `existing` o repetidos en la misma lista
+export const markDuplicateStudents = (students, existing = []) => {
+  const seen = new Set(existing.map(studentKey));
+  return students.map(s => {
+    const duplicate = seen.has(studentKey(s));
+    seen.add(studentKey(s));
+    return { ...s, duplicate };
+  });
+};
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { paidByStudent, rosterTotals, rosterOrderTotal, splitPastedRows, parseClassList, markDuplicateStudents, sortRoster } from './roster.js';
+import { groupPaymentsByOrder } from './payments.js';
+
+const order = { id: 'o1', cliente: 'Colegio San José', total: 13500, precioAlumno: 4500, centavos: true };
+const students = [
+  { id: 's1', orderId: 'o1', nombre: 'Ana Pérez', grado: '5B', copias: 2, entregado: true },
+  { id: 's2', orderId: 'o1', nombre: 'Luis Soto', grado: '5A', copias: 1 },
+  { id: 's3', orderId: 'o1', nombre: 'Marta Ríos', grado: '5A', copias: 0 }
+];
+const payments = [
+  { id: 'p1', orderId: 'o1', studentId: 's1', monto: 5000, fecha: '2025-03-01' },
+  { id: 'p2', orderId: 'o1', studentId: 's1', monto: 2000, fecha: '2025-03-08' },
+  { id: 'p3', orderId: 'o1', studentId: 's2', monto: 1000, fecha: '2025-03-08' },
+  { id: 'p4', orderId: 'o1', studentId: null, monto: 20000, fecha: '2025-03-10', nota: 'Transferencia del colegio' }
+];
+const ledger = groupPaymentsByOrder([order], payments).o1;
+
+describe('rosterTotals', () => {
+  it('suma los abonos parciales de cada alumno', () => {
+    expect(paidByStudent(ledger)).toEqual({ s1: 7000, s2: 1000 });
+    expect(rosterTotals(students, order, ledger)).toEqual({ alumnos: 3, copias: 3, entregados: 1, total: 13500, pagado: 8000 });
+  });
+
+  it('no reparte entre los alumnos el abono del colegio sin studentId', () => {
+    const schoolOnly = groupPaymentsByOrder([order], [payments[3]]).o1;
+    expect(paidByStudent(schoolOnly)).toEqual({});
+    expect(rosterTotals(students, order, schoolOnly).pagado).toBe(0);
+    expect(rosterTotals(students, { ...order, adelanto: 3000 }, groupPaymentsByOrder([{ ...order, adelanto: 3000 }], []).o1).pagado).toBe(0);
+  });
+
+  it('solo fija el total del pedido si se cobra por alumno y la lista tiene alumnos', () => {
+    expect(rosterOrderTotal(students, order)).toBe(13500);
+    expect(rosterOrderTotal(students, { ...order, precioAlumno: 0 })).toBeNull();
+    expect(rosterOrderTotal([], order)).toBeNull();
+  });
+
+  it('ordena la lista por grado y nombre', () => {
+    expect(sortRoster(students).map(s => s.id)).toEqual(['s2', 's3', 's1']);
+  });
+});
+
+describe('parseClassList', () => {
+  it('reconoce el encabezado aunque las columnas vengan en otro orden', () => {
+    const rows = splitPastedRows('Sección;Alumno;Abonó;Ejemplares\n5B;  Ana   Pérez ;1.500,50;2\n5A;Luis Soto;;\n');
+    expect(parseClassList(rows, 'es-ES')).toEqual([
+      { nombre: 'Ana Pérez', grado: '5B', copias: 2, pagado: 150050 },
+      { nombre: 'Luis Soto', grado: '5A', copias: 1, pagado: 0 }
+    ]);
+  });
+
+  it('sin encabezado usa el orden nombre, grado, copias, pagado', () => {
+    const rows = splitPastedRows('Ana Pérez\t5B\t2\t1,500\nLuis Soto\t5A\t0');
+    expect(parseClassList(rows, 'es-419')).toEqual([
+      { nombre: 'Ana Pérez', grado: '5B', copias: 2, pagado: 150000 },
+      { nombre: 'Luis Soto', grado: '5A', copias: 0, pagado: 0 }
+    ]);
+  });
+
+  it('acepta una sola columna de nombres y omite las filas vacías', () => {
+    expect(parseClassList(splitPastedRows('Ana Pérez\n\nLuis Soto'), 'es-419')).toEqual([
+      { nombre: 'Ana Pérez', grado: '', copias: 1, pagado: 0 },
+      { nombre: 'Luis Soto', grado: '', copias: 1, pagado: 0 }
+    ]);
+    expect(parseClassList([['Nombre', 'Grado'], ['', '5A']], 'es-419')).toEqual([]);
+  });
+});
+
+describe('markDuplicateStudents', () => {
+  it('marca los nombres repetidos sin importar tildes ni mayúsculas, dentro del mismo grado', () => {
+    const parsed = parseClassList(splitPastedRows('Nombre,Grado\nana perez,5b\nPedro Gil,5A\nPEDRO GIL,5a\nPedro Gil,6A'), 'es-419');
+    expect(markDuplicateStudents(parsed, students).map(s => [s.nombre, s.grado, s.duplicate])).toEqual([
+      ['ana perez', '5b', true],
+      ['Pedro Gil', '5A', false],
+      ['PEDRO GIL', '5a', true],
+      ['Pedro Gil', '6A', false]
+    ]);
+  });
+});
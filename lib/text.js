@@ -0,0 +1,4 @@
+// Comparación de nombres sin mayúsculas, tildes ni espacios repetidos
+export const normalizeName = (name = '') => name
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/\s+/g, ' ').trim();
@@ -0,0 +1,72 @@
+// Espacios de trabajo (sede y temporada): cierre de temporada y totales entre espacios
+import { toStudioCents } from './money.js';
+import { groupPaymentsByOrder, sumPayments, paymentsInStudio } from './payments.js';
+
+export const workspaceLabel = (ws) => [ws?.sede || 'Principal', ws?.temporada].filter(Boolean).join(' · ');
+
+/**
+ * Reglas para cerrar la temporada de `source` pasando sus datos a `target`
+ * (sin target se crea un espacio nuevo). Devuelve el motivo del bloqueo o
+ * null si se puede cerrar.
+ */
+export const validateSeasonClose = (source, target) => {
+  if (source.estado === 'cerrada') return `${workspaceLabel(source)} ya está cerrada.`;
+  if (!target) return null;
+  if (target.id === source.id) return 'La temporada no puede trasladarse a sí misma.';
+  if (target.estado === 'cerrada') return `${workspaceLabel(target)} está cerrada: elige un espacio abierto o crea uno nuevo.`;
+  return null;
+};
+
+/**
+ * Registros que pasan al espacio siguiente al cerrar una temporada: el
+ * inventario con su stock actual (`inventario`) y un pedido por cada saldo
+ * pendiente (`saldos`), con los mismos ids. `stamp` lleva `arrastre` (el
+ * espacio de origen) y los datos de creación. Devuelve [[tipo, id, datos]].
+ */
+export const carryOverRecords = (source, { orders, payments, inventory }, { saldos, inventario, stamp }) => {
+  const ledger = groupPaymentsByOrder(orders, payments);
+  return [
+    ...(inventario ? inventory.map(i => ['inventory', i.id, {
+      item: i.item, stock: Number(i.stock) || 0, minimo: i.minimo ?? 5, costo: Number(i.costo) || 0, proveedorId: i.proveedorId || null, centavos: true, ...stamp
+    }]) : []),
+    ...(saldos ? orders
+      .map(o => ({ o, saldo: (Number(o.total) || 0) - sumPayments(ledger[o.id]) }))
+      .filter(({ saldo }) => saldo > 0)
+      .map(({ o, saldo }) => ['orders', o.id, {
+        cliente: o.cliente, customerId: o.customerId || null,
+        descripcion: `Saldo ${workspaceLabel(source)}${o.descripcion ? ` · ${o.descripcion}` : ''}`,
+        total: saldo, moneda: o.moneda || null, centavos: true, estado: o.estado, items: [],
+        estadoDesde: stamp.createdAt, transiciones: [{ estado: o.estado, at: stamp.createdAt, by: stamp.createdBy }], ...stamp
+      }]) : [])
+  ];
+};
+
+// Totales de un espacio para el resumen entre sedes y temporadas
+export const workspaceTotals = (orders, payments, expenses, money) => {
+  const ledger = groupPaymentsByOrder(orders, payments);
+  const ventas = orders.reduce((sum, o) => sum + toStudioCents(o.total, o.moneda, money), 0);
+  const recaudado = orders.reduce((sum, o) => sum + paymentsInStudio(ledger[o.id], money), 0);
+  const gastos = expenses.reduce((sum, e) => sum + (Number(e.monto) || 0), 0);
+  // Saldos trasladados desde otra temporada al cerrarla (ver carryOverRecords)
+  const copias = orders.filter(o => o.arrastre);
+  const ventasArrastradas = copias.reduce((sum, o) => sum + toStudioCents(o.total, o.moneda, money), 0);
+  return {
+    pedidos: orders.length, ventas, recaudado, saldo: ventas - recaudado, gastos, balance: recaudado - gastos,
+    arrastrados: copias.length, ventasArrastradas
+  };
+};
+
+/**
+ * Suma los totales de varios espacios. Un saldo trasladado queda en el pedido
+ * original y en su copia de la temporada siguiente, así que las copias solo
+ * aportan lo que se cobró sobre ellas y no vuelven a contar como venta.
+ */
+export const overallTotals = (totals) => {
+  const sum = Object.values(totals).reduce((acc, t) => Object.fromEntries(Object.keys(t).map(k => [k, (acc[k] || 0) + t[k]])), {});
+  return {
+    ...sum,
+    pedidos: (sum.pedidos || 0) - (sum.arrastrados || 0),
+    ventas: (sum.ventas || 0) - (sum.ventasArrastradas || 0),
+    saldo: (sum.saldo || 0) - (sum.ventasArrastradas || 0)
+  };
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { validateSeasonClose, carryOverRecords, workspaceTotals, overallTotals } from './workspaces.js';
+
+const money = { moneda: 'USD', locale: 'es-419', tasas: {} };
+const source = { id: 't2024', sede: 'Centro', temporada: '2024', estado: 'abierta' };
+const stamp = { arrastre: 't2024', createdAt: '2025-01-05T12:00:00.000Z', createdBy: { uid: 'ana' }, updatedAt: '2025-01-05T12:00:00.000Z', updatedBy: { uid: 'ana' } };
+
+const orders = [
+  { id: 'o1', cliente: 'Colegio San José', descripcion: 'Anuario', total: 100000, estado: 'Listo', centavos: true },
+  { id: 'o2', cliente: 'Liceo Norte', total: 50000, estado: 'Entregado', centavos: true }
+];
+const payments = [
+  { id: 'p1', orderId: 'o1', monto: 40000, fecha: '2024-11-02', centavos: true },
+  { id: 'p2', orderId: 'o2', monto: 50000, fecha: '2024-11-10', centavos: true }
+];
+const inventory = [{ id: 'papel', item: 'Papel couché', stock: 320, minimo: 100, costo: 15, proveedorId: 'sup1', centavos: true }];
+
+describe('validateSeasonClose', () => {
+  it('permite cerrar hacia un espacio nuevo o abierto', () => {
+    expect(validateSeasonClose(source, null)).toBeNull();
+    expect(validateSeasonClose(source, { id: 't2025', sede: 'Centro', temporada: '2025', estado: 'abierta' })).toBeNull();
+  });
+
+  it('rechaza un destino cerrado, el mismo espacio o una temporada ya cerrada', () => {
+    expect(validateSeasonClose(source, { id: 't2023', sede: 'Centro', temporada: '2023', estado: 'cerrada' })).toMatch(/Centro · 2023 está cerrada/);
+    expect(validateSeasonClose(source, source)).toMatch(/sí misma/);
+    expect(validateSeasonClose({ ...source, estado: 'cerrada' }, null)).toMatch(/ya está cerrada/);
+  });
+});
+
+describe('carryOverRecords', () => {
+  it('traslada un pedido por cada saldo pendiente con el mismo id', () => {
+    const writes = carryOverRecords(source, { orders, payments, inventory }, { saldos: true, inventario: false, stamp });
+    expect(writes).toHaveLength(1);
+    const [type, id, data] = writes[0];
+    expect([type, id]).toEqual(['orders', 'o1']);
+    expect(data).toMatchObject({
+      cliente: 'Colegio San José', descripcion: 'Saldo Centro · 2024 · Anuario', total: 60000, estado: 'Listo',
+      arrastre: 't2024', items: [], estadoDesde: stamp.createdAt
+    });
+    expect(data.transiciones).toEqual([{ estado: 'Listo', at: stamp.createdAt, by: { uid: 'ana' } }]);
+  });
+
+  it('traslada el inventario con su stock actual solo si se pide', () => {
+    const writes = carryOverRecords(source, { orders, payments, inventory }, { saldos: false, inventario: true, stamp });
+    expect(writes).toEqual([['inventory', 'papel', {
+      item: 'Papel couché', stock: 320, minimo: 100, costo: 15, proveedorId: 'sup1', centavos: true, ...stamp
+    }]]);
+    expect(carryOverRecords(source, { orders, payments, inventory }, { saldos: false, inventario: false, stamp })).toEqual([]);
+  });
+});
+
+describe('overallTotals', () => {
+  it('cuenta una sola vez el saldo trasladado al sumar las dos temporadas', () => {
+    const carried = carryOverRecords(source, { orders, payments, inventory }, { saldos: true, inventario: false, stamp })
+      .map(([, id, data]) => ({ id, ...data }));
+    const next = workspaceTotals(carried, [{ id: 'p3', orderId: 'o1', monto: 60000, fecha: '2025-02-01', centavos: true }], [], money);
+    expect(next).toMatchObject({ pedidos: 1, ventas: 60000, recaudado: 60000, saldo: 0, arrastrados: 1, ventasArrastradas: 60000 });
+
+    const previous = workspaceTotals(orders, payments, [{ monto: 20000 }], money);
+    expect(previous).toMatchObject({ ventas: 150000, recaudado: 90000, saldo: 60000 });
+
+    const overall = overallTotals({ t2024: previous, t2025: next });
+    expect(overall).toMatchObject({ pedidos: 2, ventas: 150000, recaudado: 150000, saldo: 0, gastos: 20000, balance: 130000 });
+  });
+
+  it('mantiene el saldo pendiente una sola vez mientras no se cobre', () => {
+    const carried = carryOverRecords(source, { orders, payments, inventory }, { saldos: true, inventario: false, stamp })
+      .map(([, id, data]) => ({ id, ...data }));
+    const overall = overallTotals({
+      t2024: workspaceTotals(orders, payments, [], money),
+      t2025: workspaceTotals(carried, [], [], money)
+    });
+    expect(overall).toMatchObject({ ventas: 150000, recaudado: 90000, saldo: 60000 });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Service worker de StudioManager.
+ * Guarda la aplicación en caché para abrirla sin conexión. Los datos no pasan
+ * por aquí: Firestore mantiene su propia caché persistente en IndexedDB.
+ */
+const CACHE = 'studiomanager-v1';
+const SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = (request, response) => {
+  if (response && (response.ok || response.type === 'opaque')) {
+    const copy = response.clone();
+    caches.open(CACHE).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Navegación: red primero, la app guardada si no hay conexión
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).then(res => putInCache('/index.html', res)).catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+
+  // Archivos de la build (con hash en el nombre) y estáticos propios: caché primero
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      caches.match(request).then(cached => cached || fetch(request).then(res => putInCache(request, res)))
+    );
+    return;
+  }
+
+  // Tailwind desde CDN: se sirve la copia guardada y se actualiza en segundo plano
+  if (url.hostname === 'cdn.tailwindcss.com') {
+    event.respondWith(
+      caches.match(request).then(cached => {
+        const network = fetch(request).then(res => putInCache(request, res)).catch(() => cached);
+        return cached || network;
+      })
+    );
+  }
+});